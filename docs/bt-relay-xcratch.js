@@ -1,7 +1,6 @@
-// hello-ext.js
-export default class HelloExt {
-  getInfo(){ return { id:'helloext', name:'HelloExt', blocks:[
-    {opcode:'ping', blockType:Scratch.BlockType.COMMAND, text:'PINGを表示'}
-  ]}; }
-  ping(){ alert('PONG'); }
-}
+// bt-relay-xcratch.js - ES module entry of Bluetooth Relay (NUS) for Xcratch
+// The extension itself lives in bt-relay.js (also the TurboWarp script); importing it
+// defines globalThis.BtRelayNUS, the factory: Scratch -> extension class.
+import './bt-relay.js';
+
+export default globalThis.BtRelayNUS;
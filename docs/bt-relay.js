@@ -0,0 +1,3665 @@
+// bt-relay.js - Bluetooth Relay (NUS) for Xcratch & TurboWarp
+// Features: auto-reconnect, polling, send queue, multi-device memory & switching,
+//           ON/OFF edge events, connected/disconnected events, bulk control by CSV,
+//           per-device sessions (several relays connected at the same time),
+//           multi-channel boards (2/4/8 ch) with per-channel state & events,
+//           protocol profiles (Nordic UART, HM-10 FFE0/FFE1, LC-Tech hex frames),
+//           acknowledged commands (wait for the reply with timeout & retry),
+//           RX message framing (LF / CR / fixed length) and chunked TX writes,
+//           message-received events, last message & timestamped message history,
+//           timed actions (pulse, delay, interval, daily clock) with list & cancel,
+//           remembered devices saved in localStorage and restored via getDevices(),
+//           device aliases, named device groups and dynamic device menus,
+//           simulation mode (in-memory virtual relays, no hardware needed),
+//           offline send queue policies (drop oldest / keep latest / reject, TTL) & inspection,
+//           health & device info (RSSI, battery, model/firmware, uptime, reconnects, diagnostics),
+//           lossless per-device HAT events dispatched through the runtime (with device filters),
+//           connection state machine with state events and a configurable reconnect policy,
+//           parallel bulk operations (concurrency limit) with a per-device result report,
+//           safety interlocks (max ON time, anti-chatter, exclusive pairs, emergency stop),
+//           configurable scan filters; a cancelled chooser is a non-fatal 'err.scanCancelled',
+//           per-device command tables and reply rules (literal, regular expression, JSON path),
+//           raw byte sends (hex / byte list), last received bytes, sum8/XOR/CRC-8/CRC-16 helpers,
+//           telemetry (key=value lines / JSON) per device with threshold events,
+//           per-device event log (state, commands, connects, errors), on-time stats & CSV export,
+//           one connection shared by every tab of the site (BroadcastChannel owner / proxy tabs),
+//           Web Serial transport for USB-serial boards (CH340 / CP2102) using the same blocks
+// NOTE: Requires a context where Web Bluetooth (or Web Serial for USB boards) is available (HTTPS).
+// For TurboWarp: load this file as an unsandboxed extension (URL, Text or File).
+// For Xcratch: load docs/bt-relay-xcratch.js, the ES module entry that re-exports the factory.
+(function (root, rootFactory) {
+  // One source, two entries. This file stays a plain script (no import/export), so it runs
+  // both as a classic script and when imported by the ES module entry.
+  //   root.BtRelayNUS: factory (Scratch -> extension class), picked up by bt-relay-xcratch.js
+  //   classic script with a Scratch global (TurboWarp): registers right away
+  root.BtRelayNUS = rootFactory;
+  if (typeof module !== 'undefined' && module.exports) {
+	module.exports = rootFactory; // Node-like (simulation mode / scripting)
+  }
+  if (typeof Scratch !== 'undefined' && Scratch?.extensions?.register) {
+	const Extension = rootFactory(Scratch);
+	Scratch.extensions.register(new Extension());
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : self, function (Scratch) {
+  'use strict';
+
+  // Block text, menu labels and messages per language. Japanese is the source language;
+  // editors in any other locale get English. Logic only ever sees menu values, never labels.
+  const MESSAGES = {
+	ja: {
+	  // Blocks (key = opcode)
+	  whenOn: '状態がONになったとき',
+	  whenOff: '状態がOFFになったとき',
+	  whenConnected: '接続されたとき',
+	  whenDisconnected: '切断されたとき',
+	  btnConnect: 'Bluetoothに接続（スキャン）',
+	  connectById: 'ID [id] で接続',
+	  connectAll: '記憶デバイスすべてに接続',
+	  selectDevice: '操作対象を [id] にする',
+	  setAlias: '[id] の別名を [alias] にする',
+	  setGroup: 'グループ [group] のメンバーを [members] にする',
+	  deleteGroup: 'グループ [group] を削除',
+	  disconnect: '切断（記憶は保持）',
+	  disconnectById: 'ID [id] を切断',
+	  disconnectAll: 'すべて切断（記憶は保持）',
+	  forgetCurrent: '切断して現在のデバイスを忘れる',
+	  forgetById: 'ID [id] を忘れる',
+	  forgetAll: 'すべての記憶デバイスを忘れる',
+	  setReconnect: '自動再接続を [state] にする',
+	  setAutoConnect: '起動時に記憶デバイスへ自動接続を [state] にする',
+	  setPoll: 'ポーリング間隔を [ms] ms にする',
+	  setFraming: '受信メッセージの区切りを [mode] にする（固定長 [len] バイト）',
+	  setTxChunk: '送信を [n] バイトずつ [ms] ms 間隔で分割する',
+	  setProfile: 'プロトコルを [profile] にする（接続前）',
+	  setProfileById: '[id] のプロトコルを [profile] にする',
+	  relayOn: 'リレーON',
+	  relayOff: 'リレーOFF',
+	  relayToggle: 'トグル',
+	  readStateCmd: '状態を読む',
+	  sendText: '文字列 [txt] を送信',
+	  clearQueue: '送信キューをクリア',
+	  relayOnById: '[id] のリレーON',
+	  relayOffById: '[id] のリレーOFF',
+	  relayToggleById: '[id] をトグル',
+	  readStateById: '[id] の状態を読む',
+	  sendTextById: '[id] に文字列 [txt] を送信',
+	  setAck: '応答待ちを [ms] ms、リトライ [n] 回にする',
+	  relayConfirm: 'リレーを [act] にして確認',
+	  relayConfirmById: '[id] のリレーを [act] にして確認',
+	  readStateWait: '状態を読んで待つ（タイムアウト [ms] ms）',
+	  readStateWaitById: '[id] の状態を読んで待つ（タイムアウト [ms] ms）',
+	  whenChannel: 'チャンネル [ch] が [state] になったとき',
+	  setChannelCount: 'チャンネル数を [n] にする',
+	  channelCmd: 'チャンネル [ch] を [act] にする',
+	  channelCmdById: '[id] のチャンネル [ch] を [act] にする',
+	  channelStateNum: 'チャンネル [ch] の状態',
+	  channelStateNumById: '[id] のチャンネル [ch] の状態',
+	  stateMask: 'チャンネル状態（ビットマスク）',
+	  stateMaskById: '[id] のチャンネル状態（ビットマスク）',
+	  pulse: 'リレーを [ms] ms だけONにする',
+	  delayAction: '[ms] ms 後にリレーを [act] にする',
+	  everyAction: '[ms] ms ごとにリレーを [act] にする',
+	  dailyAction: '毎日 [time] にリレーを [act] にする',
+	  cancelSchedule: '予約 [sid] を取り消す',
+	  cancelAllSchedules: 'すべての予約を取り消す',
+	  getLastScheduleId: '最後の予約ID',
+	  getScheduleIds: '予約ID一覧（CSV）',
+	  getScheduleJson: '予約一覧（JSON）',
+	  whenMessage: 'メッセージを受信したとき',
+	  whenMessageMatches: 'メッセージが [pattern] に一致したとき',
+	  getLastMessage: '最後に受信したメッセージ',
+	  getLastMessageId: '最後のメッセージの送信元ID',
+	  getLastMessageById: '[id] から最後に受信したメッセージ',
+	  getHistoryItem: '受信履歴の新しい方から [n] 番目',
+	  getHistoryLength: '受信履歴の件数',
+	  getHistoryJson: '受信履歴（JSON）',
+	  setHistorySize: '受信履歴を最大 [n] 件にする',
+	  clearHistory: '受信履歴をクリア',
+	  bulkCsv: 'ID・別名・グループ（CSV）[csv] に [act] を送る',
+	  setSimulation: 'シミュレーションモードを [state] にする',
+	  setSimRelays: '仮想リレーを [n] 台、各 [ch] チャンネルにする',
+	  setSimLink: '仮想リレーの応答遅延を [ms] ms、切断確率を毎秒 [p] % にする',
+	  isSimulation: 'シミュレーションモード？',
+	  stateNum: '状態（数字）',
+	  stateText: '状態（文字）',
+	  isConnected: '接続済み？',
+	  getName: 'デバイス名',
+	  getId: 'デバイスID',
+	  getKnownIds: '記憶ID一覧（CSV）',
+	  getKnownNames: '記憶名一覧（CSV）',
+	  getConnectedIds: '接続中ID一覧（CSV）',
+	  aliasToId: '別名 [alias] のID',
+	  getAlias: '[id] の別名',
+	  getGroups: 'グループ一覧（CSV）',
+	  groupMembers: 'グループ [group] のメンバー（CSV）',
+	  inGroup: '[id] はグループ [group] のメンバー？',
+	  getUnavailableIds: '選び直しが必要なID一覧（CSV）',
+	  getProfile: 'プロトコル',
+	  getError: '最終エラー',
+	  stateNumById: '[id] の状態（数字）',
+	  stateTextById: '[id] の状態（文字）',
+	  isConnectedById: '[id] は接続済み？',
+	  whenQueueDropped: '[id] のキューのコマンドが破棄されたとき',
+	  setQueuePolicy: '送信キューを [policy]、最大 [n] 件、有効期限 [ms] ms にする',
+	  queueLength: '送信キューの件数',
+	  queueLengthById: '[id] の送信キューの件数',
+	  queueJson: '送信キューの中身（JSON）',
+	  queueJsonById: '[id] の送信キューの中身（JSON）',
+	  queueDroppedCount: '破棄されたコマンド数',
+	  eventDroppedCount: '今回破棄されたコマンド数',
+	  getRssi: '電波強度 (dBm)',
+	  getBattery: '電池残量 (%)',
+	  getDeviceInfo: 'デバイス情報 [field]',
+	  getUptime: '接続時間（秒）',
+	  getReconnects: '再接続回数',
+	  refreshBattery: '電池残量を読み直す',
+	  getDiagnostics: '診断情報（JSON）',
+	  healthById: '[id] の [field]',
+	  getDiagnosticsById: '[id] の診断情報（JSON）',
+	  whenDeviceState: '[id] が [state] になったとき',
+	  whenDeviceConnection: '[id] が [event] とき',
+	  eventDevice: 'イベントの送信元ID',
+	  eventChannel: 'イベントのチャンネル',
+	  setReconnectPolicy: '再接続を最大 [n] 回（0 = 無制限）、間隔 [min]〜[max] ms、ゆらぎ [jitter] % にする',
+	  whenConnectionState: '接続状態が [state] になったとき',
+	  getConnectionState: '接続状態',
+	  getConnectionStateById: '[id] の接続状態',
+	  bulkCsvReport: '[csv] に [act] を送った結果（[format]）',
+	  setBulkConcurrency: '一括操作の同時実行数を [n] にする',
+	  getBulkReport: '最後の一括操作の結果（[format]）',
+	  getBulkFailedIds: '最後の一括操作で失敗したID',
+	  emergencyStop: '非常停止（全リレーをOFF）',
+	  setSafeStop: '停止ボタン・緑の旗・ページを閉じたときに全リレーをOFF: [state]',
+	  setMaxOn: '[id] のON時間を最大 [ms] ms にする（0 = 無制限）',
+	  setMinInterval: '[id] の切り替え間隔を [ms] ms 以上にする',
+	  setInterlock: '[id] のチャンネル [a] と [id2] のチャンネル [b] を同時にONにしない',
+	  clearInterlocks: '同時ON禁止の設定をすべて解除',
+	  getSafetyJson: '安全設定（JSON）',
+	  setScanNamePrefixes: 'スキャン: 名前が [csv] で始まるデバイス',
+	  setScanNames: 'スキャン: 名前が [csv] のデバイス',
+	  setScanServices: 'スキャン: サービス [csv] を持つデバイス',
+	  addScanManufacturer: 'スキャン: メーカーID [company]、データ [prefix] のデバイスを追加',
+	  clearScanFilters: 'スキャン条件をクリア（すべてのデバイスを表示）',
+	  getScanFilters: 'スキャン条件（JSON）',
+	  getErrorCode: '最終エラーコード',
+	  setCommand: '[id] の [act] コマンドを [text] にする（空 = 標準）',
+	  addReplyLiteral: '[id] の返信 [text] をチャンネル [ch] の [state] とみなす',
+	  addReplyRegex: '[id] の返信を正規表現 [pattern] で読む（チャンネル [ch]）',
+	  addReplyJson: '[id] の返信をJSONの [path] から読む（チャンネル [ch]）',
+	  clearProtocol: '[id] のコマンドと返信ルールを標準に戻す',
+	  getProtocolJson: '[id] のコマンドと返信ルール（JSON）',
+	  sendHex: 'バイト列 [hex] を送信（16進数）',
+	  sendBytes: 'バイト列 [bytes] を送信（数値リスト）',
+	  sendHexById: '[id] にバイト列 [hex] を送信（16進数）',
+	  sendBytesById: '[id] にバイト列 [bytes] を送信（数値リスト）',
+	  getLastBytesHex: '最後に受信したバイト列（16進数）',
+	  getLastBytesHexById: '[id] から最後に受信したバイト列（16進数）',
+	  checksum: '[hex] の [algo] チェックサム',
+	  withChecksum: '[hex] に [algo] チェックサムを付けたもの',
+	  checksumOk: '[hex] の末尾の [algo] チェックサムが正しい？',
+	  whenTelemetry: '[key] が [op] [value] になったとき',
+	  getTelemetry: '[key] の値',
+	  getTelemetryById: '[id] の [key] の値',
+	  getTelemetryKeys: '値の名前の一覧',
+	  getTelemetryJsonById: '[id] の値の一覧（JSON）',
+	  getOnTime: '[id] のチャンネル [ch] のON時間（秒、直近 [sec] 秒）',
+	  getSwitchCount: '[id] のチャンネル [ch] の切り替え回数（直近 [sec] 秒）',
+	  getDutyCycle: '[id] のチャンネル [ch] の稼働率 %（直近 [sec] 秒）',
+	  getLogCsvById: '[id] のイベントログ（CSV）',
+	  downloadLog: 'イベントログをCSVでダウンロード',
+	  clearLog: 'イベントログをクリア',
+	  setTabSharing: 'タブ間で接続を共有: [state]',
+	  getTabRole: '[id] に対するこのタブの役割',
+	  getTabId: 'このタブのID',
+	  connectSerial: 'USBシリアルのポートを選んで接続',
+	  setSerialBaud: 'シリアルの通信速度を [baud] にする',
+	  setSerialBaudById: '[id] のシリアル通信速度を [baud] にする',
+	  getTransportById: '[id] の接続方式',
+	  // Menus
+	  'menu.sum8': '合計 (sum-8)',
+	  'menu.xor': 'XOR',
+	  'menu.crc8': 'CRC-8',
+	  'menu.crc16modbus': 'CRC-16/Modbus',
+	  'menu.json': 'JSON',
+	  'menu.csv': 'CSV',
+	  'state.idle': '未接続',
+	  'state.scanning': 'デバイス選択中',
+	  'state.connecting': '接続中',
+	  'state.discovering': 'サービス確認中',
+	  'state.connected': '接続済み',
+	  'state.backoff': '再接続待ち',
+	  'state.failed': '再接続失敗',
+	  'menu.connected': '接続された',
+	  'menu.disconnected': '切断された',
+	  'menu.model': '型番',
+	  'menu.firmware': 'ファームウェア',
+	  'menu.manufacturer': 'メーカー',
+	  'menu.rssi': '電波強度',
+	  'menu.battery': '電池残量',
+	  'menu.uptime': '接続時間',
+	  'menu.reconnects': '再接続回数',
+	  'menu.dropOldest': '古いものから破棄',
+	  'menu.latest': '最新の状態のみ保持',
+	  'menu.reject': '満杯なら拒否',
+	  'menu.on': 'オン',
+	  'menu.off': 'オフ',
+	  'menu.ON': 'ON',
+	  'menu.OFF': 'OFF',
+	  'menu.TOGGLE': 'トグル',
+	  'menu.READ': '読む',
+	  'menu.lf': '改行 (LF)',
+	  'menu.cr': 'CR',
+	  'menu.fixed': '固定長',
+	  'menu.none': 'なし（1通知=1メッセージ）',
+	  'menu.auto': '自動検出',
+	  'menu.noDevices': '（記憶デバイスなし）',
+	  'menu.noGroups': '（グループなし）',
+	  // Errors and notices
+	  'err.noSerial': 'このブラウザでは Web Serial を使えません（HTTPS の Chrome / Edge で開いてください）',
+	  'err.serialGone': 'シリアルポートが見つかりません: {0}',
+	  'err.badBaud': '通信速度が不正です: {0}',
+	  'err.noBroadcast': 'この環境ではタブ間共有を使えません',
+	  'err.tabTimeout': '接続を持つタブから応答がありません',
+	  'err.ownerGone': '接続を持つタブが閉じられました',
+	  'err.noDownload': 'この環境ではダウンロードできません',
+	  'err.badByte': '0〜255 の数ではありません: {0}',
+	  'err.unknownChecksum': '不明なチェックサム: {0}',
+	  'err.badPattern': '正規表現が不正です: {0}',
+	  'err.scanCancelled': 'デバイスの選択がキャンセルされました',
+	  'err.badHex': '16進数のバイト列ではありません: {0}',
+	  'err.badCompanyId': 'メーカーIDが不正です: {0}',
+	  'err.tooFrequent': '{0} チャンネル {1}: 切り替え間隔が短すぎます（{2} ms 以上あけてください）',
+	  'err.interlock': '{0} チャンネル {1} はONにできません: {2} チャンネル {3} がONです',
+	  'err.bulkFailed': '一括操作: {1} 台中 {0} 台が失敗しました',
+	  'err.queueFull': '送信キューが満杯です',
+	  'err.sandboxed': 'サンドボックス内では Bluetooth を使えません。TurboWarp では「サンドボックスなしで実行」で読み込んでください',
+	  'err.noBluetooth': 'このブラウザでは Web Bluetooth を使えません（HTTPS の Chrome / Edge で開いてください）',
+	  'err.notConnected': '未接続です',
+	  'err.disconnected': '切断されました',
+	  'err.noService': '対応するサービスが見つかりません',
+	  'err.unknownProfile': '未知のプロトコル: {0}',
+	  'err.badChannel': 'チャンネル番号が不正です: {0}',
+	  'err.noPermission': '保存済みデバイス {0} への接続許可がありません。スキャンして選び直してください',
+	  'err.unknownId': '未知のID: {0}',
+	  'err.ackTimeout': '応答がありません（タイムアウト）',
+	  'err.badTime': '時刻の形式が不正です（HH:MM）: {0}',
+	  'err.aliasInUse': '別名はすでに使われています: {0}',
+	  'err.simNotFound': '{0} が見つかりません（シミュレーション）',
+	  'err.simNoRelay': '仮想リレーがありません'
+	},
+	en: {
+	  // Blocks (key = opcode)
+	  whenOn: 'when state turns ON',
+	  whenOff: 'when state turns OFF',
+	  whenConnected: 'when connected',
+	  whenDisconnected: 'when disconnected',
+	  btnConnect: 'Connect Bluetooth (scan)',
+	  connectById: 'connect to [id]',
+	  connectAll: 'connect all remembered devices',
+	  selectDevice: 'use [id] as current device',
+	  setAlias: 'set alias of [id] to [alias]',
+	  setGroup: 'set members of group [group] to [members]',
+	  deleteGroup: 'delete group [group]',
+	  disconnect: 'disconnect (keep remembered)',
+	  disconnectById: 'disconnect [id]',
+	  disconnectAll: 'disconnect all (keep remembered)',
+	  forgetCurrent: 'disconnect and forget current device',
+	  forgetById: 'forget [id]',
+	  forgetAll: 'forget all remembered devices',
+	  setReconnect: 'turn auto-reconnect [state]',
+	  setAutoConnect: 'turn auto-connect at startup [state]',
+	  setPoll: 'set polling interval to [ms] ms',
+	  setFraming: 'split received messages by [mode] (fixed length [len] bytes)',
+	  setTxChunk: 'send in chunks of [n] bytes every [ms] ms',
+	  setProfile: 'use protocol [profile] (before connecting)',
+	  setProfileById: 'set protocol of [id] to [profile]',
+	  relayOn: 'relay ON',
+	  relayOff: 'relay OFF',
+	  relayToggle: 'toggle relay',
+	  readStateCmd: 'read state',
+	  sendText: 'send text [txt]',
+	  clearQueue: 'clear send queue',
+	  relayOnById: 'turn [id] ON',
+	  relayOffById: 'turn [id] OFF',
+	  relayToggleById: 'toggle [id]',
+	  readStateById: 'read state of [id]',
+	  sendTextById: 'send text [txt] to [id]',
+	  setAck: 'wait [ms] ms for replies, retry [n] times',
+	  relayConfirm: 'set relay [act] and confirm',
+	  relayConfirmById: 'set [id] [act] and confirm',
+	  readStateWait: 'read state and wait (timeout [ms] ms)',
+	  readStateWaitById: 'read state of [id] and wait (timeout [ms] ms)',
+	  whenChannel: 'when channel [ch] turns [state]',
+	  setChannelCount: 'set channel count to [n]',
+	  channelCmd: 'set channel [ch] [act]',
+	  channelCmdById: 'set channel [ch] of [id] [act]',
+	  channelStateNum: 'state of channel [ch]',
+	  channelStateNumById: 'state of channel [ch] of [id]',
+	  stateMask: 'channel states (bitmask)',
+	  stateMaskById: 'channel states of [id] (bitmask)',
+	  pulse: 'turn relay ON for [ms] ms',
+	  delayAction: 'after [ms] ms set relay [act]',
+	  everyAction: 'every [ms] ms set relay [act]',
+	  dailyAction: 'every day at [time] set relay [act]',
+	  cancelSchedule: 'cancel schedule [sid]',
+	  cancelAllSchedules: 'cancel all schedules',
+	  getLastScheduleId: 'last schedule ID',
+	  getScheduleIds: 'schedule IDs (CSV)',
+	  getScheduleJson: 'schedules (JSON)',
+	  whenMessage: 'when message received',
+	  whenMessageMatches: 'when message matches [pattern]',
+	  getLastMessage: 'last received message',
+	  getLastMessageId: 'sender ID of last message',
+	  getLastMessageById: 'last message from [id]',
+	  getHistoryItem: 'message [n] from newest in history',
+	  getHistoryLength: 'number of messages in history',
+	  getHistoryJson: 'message history (JSON)',
+	  setHistorySize: 'keep up to [n] messages in history',
+	  clearHistory: 'clear message history',
+	  bulkCsv: 'send [act] to IDs / aliases / groups (CSV) [csv]',
+	  setSimulation: 'turn simulation mode [state]',
+	  setSimRelays: 'use [n] virtual relays with [ch] channels each',
+	  setSimLink: 'set virtual relay latency to [ms] ms and drop chance to [p] % per second',
+	  isSimulation: 'simulation mode?',
+	  stateNum: 'state (number)',
+	  stateText: 'state (text)',
+	  isConnected: 'connected?',
+	  getName: 'device name',
+	  getId: 'device ID',
+	  getKnownIds: 'remembered IDs (CSV)',
+	  getKnownNames: 'remembered names (CSV)',
+	  getConnectedIds: 'connected IDs (CSV)',
+	  aliasToId: 'ID of alias [alias]',
+	  getAlias: 'alias of [id]',
+	  getGroups: 'groups (CSV)',
+	  groupMembers: 'members of group [group] (CSV)',
+	  inGroup: '[id] in group [group]?',
+	  getUnavailableIds: 'IDs to pick again (CSV)',
+	  getProfile: 'protocol',
+	  getError: 'last error',
+	  stateNumById: 'state of [id] (number)',
+	  stateTextById: 'state of [id] (text)',
+	  isConnectedById: '[id] connected?',
+	  whenQueueDropped: 'when queued commands of [id] were dropped',
+	  setQueuePolicy: 'set send queue to [policy], max [n] entries, expire after [ms] ms',
+	  queueLength: 'send queue length',
+	  queueLengthById: 'send queue length of [id]',
+	  queueJson: 'send queue contents (JSON)',
+	  queueJsonById: 'send queue contents of [id] (JSON)',
+	  queueDroppedCount: 'dropped command count',
+	  eventDroppedCount: 'commands dropped in this event',
+	  getRssi: 'signal strength (dBm)',
+	  getBattery: 'battery level (%)',
+	  getDeviceInfo: 'device info [field]',
+	  getUptime: 'connection uptime (s)',
+	  getReconnects: 'reconnect count',
+	  refreshBattery: 'refresh battery level',
+	  getDiagnostics: 'diagnostics (JSON)',
+	  healthById: '[field] of [id]',
+	  getDiagnosticsById: 'diagnostics of [id] (JSON)',
+	  whenDeviceState: 'when [id] turns [state]',
+	  whenDeviceConnection: 'when [id] [event]',
+	  eventDevice: 'event source device',
+	  eventChannel: 'event channel',
+	  setReconnectPolicy: 'reconnect up to [n] times (0 = unlimited), every [min] to [max] ms, jitter [jitter] %',
+	  whenConnectionState: 'when connection state becomes [state]',
+	  getConnectionState: 'connection state',
+	  getConnectionStateById: 'connection state of [id]',
+	  bulkCsvReport: 'result of sending [act] to [csv] ([format])',
+	  setBulkConcurrency: 'run bulk operations [n] at a time',
+	  getBulkReport: 'last bulk result ([format])',
+	  getBulkFailedIds: 'IDs that failed in the last bulk operation',
+	  emergencyStop: 'emergency stop: all relays OFF',
+	  setSafeStop: 'all relays OFF on stop / green flag / page close: [state]',
+	  setMaxOn: 'limit ON time of [id] to [ms] ms (0 = no limit)',
+	  setMinInterval: 'keep at least [ms] ms between switches of [id]',
+	  setInterlock: 'never turn ON [id] channel [a] and [id2] channel [b] together',
+	  clearInterlocks: 'clear all interlocks',
+	  getSafetyJson: 'safety settings (JSON)',
+	  setScanNamePrefixes: 'scan for names starting with [csv]',
+	  setScanNames: 'scan for names [csv]',
+	  setScanServices: 'scan for services [csv]',
+	  addScanManufacturer: 'also scan for manufacturer [company] with data [prefix]',
+	  clearScanFilters: 'clear scan filters (show all devices)',
+	  getScanFilters: 'scan filters (JSON)',
+	  getErrorCode: 'last error code',
+	  setCommand: 'set [act] command of [id] to [text] (empty = default)',
+	  addReplyLiteral: 'treat reply [text] from [id] as channel [ch] [state]',
+	  addReplyRegex: 'read replies from [id] with regex [pattern] (channel [ch])',
+	  addReplyJson: 'read replies from [id] at JSON path [path] (channel [ch])',
+	  clearProtocol: 'reset commands and reply rules of [id]',
+	  getProtocolJson: 'commands and reply rules of [id] (JSON)',
+	  sendHex: 'send bytes [hex] (hex)',
+	  sendBytes: 'send byte list [bytes]',
+	  sendHexById: 'send bytes [hex] (hex) to [id]',
+	  sendBytesById: 'send byte list [bytes] to [id]',
+	  getLastBytesHex: 'last received bytes (hex)',
+	  getLastBytesHexById: 'last received bytes from [id] (hex)',
+	  checksum: '[algo] checksum of [hex]',
+	  withChecksum: '[hex] with [algo] checksum appended',
+	  checksumOk: '[hex] ends with a valid [algo] checksum?',
+	  whenTelemetry: 'when [key] [op] [value]',
+	  getTelemetry: 'value of [key]',
+	  getTelemetryById: 'value of [key] from [id]',
+	  getTelemetryKeys: 'list of value keys',
+	  getTelemetryJsonById: 'values from [id] (JSON)',
+	  getOnTime: 'ON time (s) of [id] channel [ch] in the last [sec] s',
+	  getSwitchCount: 'switch count of [id] channel [ch] in the last [sec] s',
+	  getDutyCycle: 'duty cycle % of [id] channel [ch] in the last [sec] s',
+	  getLogCsvById: 'event log of [id] (CSV)',
+	  downloadLog: 'download event log as CSV',
+	  clearLog: 'clear event log',
+	  setTabSharing: 'share connections across tabs: [state]',
+	  getTabRole: 'role of this tab for [id]',
+	  getTabId: 'ID of this tab',
+	  connectSerial: 'pick a USB serial port and connect',
+	  setSerialBaud: 'set serial baud rate to [baud]',
+	  setSerialBaudById: 'set serial baud rate of [id] to [baud]',
+	  getTransportById: 'transport of [id]',
+	  // Menus
+	  'menu.sum8': 'sum-8',
+	  'menu.xor': 'XOR',
+	  'menu.crc8': 'CRC-8',
+	  'menu.crc16modbus': 'CRC-16/Modbus',
+	  'menu.json': 'JSON',
+	  'menu.csv': 'CSV',
+	  'state.idle': 'idle',
+	  'state.scanning': 'scanning',
+	  'state.connecting': 'connecting',
+	  'state.discovering': 'discovering',
+	  'state.connected': 'connected',
+	  'state.backoff': 'waiting to reconnect',
+	  'state.failed': 'failed',
+	  'menu.connected': 'is connected',
+	  'menu.disconnected': 'is disconnected',
+	  'menu.model': 'model',
+	  'menu.firmware': 'firmware',
+	  'menu.manufacturer': 'manufacturer',
+	  'menu.rssi': 'signal strength',
+	  'menu.battery': 'battery',
+	  'menu.uptime': 'uptime',
+	  'menu.reconnects': 'reconnects',
+	  'menu.dropOldest': 'drop oldest',
+	  'menu.latest': 'keep latest state only',
+	  'menu.reject': 'reject when full',
+	  'menu.on': 'on',
+	  'menu.off': 'off',
+	  'menu.ON': 'ON',
+	  'menu.OFF': 'OFF',
+	  'menu.TOGGLE': 'TOGGLE',
+	  'menu.READ': 'READ',
+	  'menu.lf': 'newline (LF)',
+	  'menu.cr': 'CR',
+	  'menu.fixed': 'fixed length',
+	  'menu.none': 'none (one notification = one message)',
+	  'menu.auto': 'auto-detect',
+	  'menu.noDevices': '(no remembered devices)',
+	  'menu.noGroups': '(no groups)',
+	  // Errors and notices
+	  'err.noSerial': 'Web Serial is not available in this browser (open it over HTTPS in Chrome / Edge)',
+	  'err.serialGone': 'serial port not found: {0}',
+	  'err.badBaud': 'invalid baud rate: {0}',
+	  'err.noBroadcast': 'tab sharing is not available here',
+	  'err.tabTimeout': 'no answer from the tab holding the connection',
+	  'err.ownerGone': 'the tab holding the connection was closed',
+	  'err.noDownload': 'downloads are not available here',
+	  'err.badByte': 'not a byte (0-255): {0}',
+	  'err.unknownChecksum': 'unknown checksum: {0}',
+	  'err.badPattern': 'invalid regular expression: {0}',
+	  'err.scanCancelled': 'device selection was cancelled',
+	  'err.badHex': 'not a hex byte string: {0}',
+	  'err.badCompanyId': 'invalid manufacturer ID: {0}',
+	  'err.tooFrequent': '{0} channel {1}: switching too often (wait at least {2} ms)',
+	  'err.interlock': 'cannot turn ON {0} channel {1}: {2} channel {3} is ON',
+	  'err.bulkFailed': 'bulk operation: {0} of {1} devices failed',
+	  'err.queueFull': 'send queue is full',
+	  'err.sandboxed': 'Bluetooth is not available in the sandbox. In TurboWarp, load this extension with "Run without sandbox"',
+	  'err.noBluetooth': 'Web Bluetooth is not available in this browser (open it over HTTPS in Chrome / Edge)',
+	  'err.notConnected': 'not connected',
+	  'err.disconnected': 'disconnected',
+	  'err.noService': 'no supported service found',
+	  'err.unknownProfile': 'unknown protocol: {0}',
+	  'err.badChannel': 'invalid channel number: {0}',
+	  'err.noPermission': 'no permission to connect to saved device {0}. Scan and pick it again',
+	  'err.unknownId': 'unknown ID: {0}',
+	  'err.ackTimeout': 'no reply (timeout)',
+	  'err.badTime': 'invalid time (HH:MM): {0}',
+	  'err.aliasInUse': 'alias already in use: {0}',
+	  'err.simNotFound': '{0} not found (simulation)',
+	  'err.simNoRelay': 'no virtual relays'
+	}
+  };
+
+  // Editor locale: TurboWarp exposes Scratch.translate.language, scratch-gui based editors the VM locale
+  function editorLanguage() {
+	try {
+	  if (Scratch.translate && Scratch.translate.language) return String(Scratch.translate.language);
+	  if (Scratch.vm && Scratch.vm.getLocale) return String(Scratch.vm.getLocale());
+	} catch (e) {}
+	return (typeof navigator !== 'undefined' && navigator.language) || 'ja';
+  }
+  function msg(key, ...args) {
+	const table = /^ja\b/i.test(editorLanguage()) ? MESSAGES.ja : MESSAGES.en;
+	const text = table[key] ?? MESSAGES.ja[key] ?? key;
+	return text.replace(/\{(\d+)\}/g, (_, i) => String(args[i] ?? ''));
+  }
+  function error(key, ...args) {
+	const e = new Error(msg(key, ...args));
+	e.code = key;
+	return e;
+  }
+
+  // Menu values 'on'/'off'; the Japanese labels are still accepted from projects saved before localization
+  function isOn(v) {
+	const x = String(v ?? '').trim().toLowerCase();
+	return x === 'on' || x === 'オン' || x === 'true' || x === '1';
+  }
+
+  const NUS_SERVICE = '6e400001-b5a3-f393-e0a9-e50e24dcca9e';
+  const NUS_RX_CHAR = '6e400002-b5a3-f393-e0a9-e50e24dcca9e'; // Write
+  const NUS_TX_CHAR = '6e400003-b5a3-f393-e0a9-e50e24dcca9e'; // Notify
+  const HM10_SERVICE = '0000ffe0-0000-1000-8000-00805f9b34fb';
+  const HM10_CHAR    = '0000ffe1-0000-1000-8000-00805f9b34fb'; // Write + Notify
+
+  // Standard services read for health/device info when the board has them (all optional)
+  const BATTERY_SERVICE = 'battery_service';
+  const BATTERY_LEVEL   = 'battery_level';
+  const DIS_SERVICE     = 'device_information';
+  const DIS_FIELDS = {
+	model: 'model_number_string',
+	firmware: 'firmware_revision_string',
+	manufacturer: 'manufacturer_name_string'
+  };
+
+  // Protocol profiles (id -> profile), tried in this order when detecting ('auto')
+  //   service/rx/tx: GATT UUIDs
+  //   encode(action, ch, s): 'ON'/'OFF'/'TOGGLE'/'READ' -> string | Uint8Array (null = unsupported)
+  //   parse(value, s): handles a notification (DataView)
+  //   optimistic: board sends no replies, so the state is updated when a command is sent
+  const profiles = new Map();
+  function registerProfile(p) { profiles.set(p.id, p); }
+
+  registerProfile({
+	id: 'nus', name: 'Nordic UART (NUS)',
+	service: NUS_SERVICE, rx: NUS_RX_CHAR, tx: NUS_TX_CHAR,
+	encode: (action, ch, s) => channelCommand(s, ch, action),
+	parse: (value, s) => receiveChunk(s, value)
+  });
+  registerProfile({
+	id: 'hm10', name: 'HM-10 (FFE0/FFE1)',
+	service: HM10_SERVICE, rx: HM10_CHAR, tx: HM10_CHAR,
+	encode: (action, ch, s) => channelCommand(s, ch, action),
+	parse: (value, s) => receiveChunk(s, value)
+  });
+  // LC-Tech: A0 <ch> <0|1> <sum>, e.g. A0 01 01 A2 = channel 1 ON
+  registerProfile({
+	id: 'lctech', name: 'LC-Tech (A0 hex)',
+	service: HM10_SERVICE, rx: HM10_CHAR, tx: HM10_CHAR,
+	optimistic: true,
+	encode: (action, ch, s) => {
+	  if (action === 'READ') return null;
+	  const v = action === 'ON' ? 1 : action === 'OFF' ? 0 : 1 - (s.channelStates[ch - 1] || 0);
+	  return new Uint8Array([0xA0, ch, v, (0xA0 + ch + v) & 0xFF]);
+	},
+	parse: (value, s) => {
+	  s.lastBytes = Uint8Array.from(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+	  if (value.byteLength !== 4 || value.getUint8(0) !== 0xA0) return;
+	  const ch = value.getUint8(1), v = value.getUint8(2);
+	  if (((0xA0 + ch + v) & 0xFF) !== value.getUint8(3)) return;
+	  s.lastStateText = toHex(s.lastBytes);
+	  setChannelState(s, ch, v ? 1 : 0);
+	  settleWaiters(s, true);
+	}
+  });
+
+  // Profile for newly picked devices ('auto' = detect from discovered services)
+  let selectedProfile = 'auto';
+
+  // Web Serial: baud rate for ports without their own setting (session.baudRate, 0 = default)
+  const SERIAL_BAUD_RATES = [9600, 19200, 38400, 57600, 115200];
+  let serialBaudRate = 9600;
+
+  // Simulation mode: bluetoothApi() hands out the in-memory fake instead of navigator.bluetooth
+  let simulation = false;
+  let sim = null;
+
+  // Known devices memory (id -> session)
+  // A session owns its GATT handles, connection flags, relay state, send queue,
+  // polling timer and reconnect backoff, so every remembered device can stay connected.
+  const known = new Map();
+
+  // Session used by the blocks that take no device argument
+  let active = null;
+
+  // Environment check: report instead of failing at load time (simulation mode still works)
+  const envWarning = environmentWarning(); // message key or ''
+
+  // Errors
+  let lastError = envWarning ? msg(envWarning) : '';
+  let lastErrorCode = envWarning; // message key of lastError ('' for foreign errors)
+
+  // Device chooser filters (any filter matches). All empty = every device is offered.
+  //   manufacturers: { companyIdentifier, dataPrefix: [byte, ...] }
+  const scanFilters = { namePrefixes: ['BT Relay', 'BT'], names: [], services: [], manufacturers: [] };
+
+  // Relay/connection/message events are queued and dispatched through runtime.startHats,
+  // at most one event per HAT opcode per frame, so a burst (ON -> OFF -> ON) is not merged and
+  // every listening script fires for every event, in order. Each started thread carries its
+  // event (thread.btRelayEvent) for the device filters and the event source reporters.
+  const EXTENSION_ID = 'btRelayNUS';
+  const EVENT_HATS = {
+	on: ['whenOn', 'whenChannel', 'whenDeviceState'],
+	off: ['whenOff', 'whenChannel', 'whenDeviceState'],
+	connected: ['whenConnected', 'whenDeviceConnection'],
+	disconnected: ['whenDisconnected', 'whenDeviceConnection'],
+	state: ['whenConnectionState'],
+	message: ['whenMessage', 'whenMessageMatches'],
+	telemetry: ['whenTelemetry'],
+	queueDropped: ['whenQueueDropped']
+  };
+  const EVENT_QUEUE_MAX = 200;
+  const eventQueue = [];   // { type, id, ch, message }
+  let lastEvent = null;    // newest dispatched event (for reporters outside event scripts)
+  let runtime = null;
+
+  // Received messages: bounded history (oldest first)
+  const messageHistory = [];   // { time, id, message }
+  let historyMax = 20;
+  let lastMessage = null;      // newest history entry (kept even when historyMax is 0)
+  const patternCache = new Map();
+
+  // Event log per device (session.log, oldest first, at most LOG_MAX entries):
+  //   { time, event: 'state'|'command'|'connect'|'disconnect'|'error', ch, value, detail }
+  // On-time statistics are rebuilt from the 'state' entries.
+  const LOG_MAX = 1000;
+
+  // Timed actions (id -> { id, deviceId, ch, action, dueAt, periodMs, daily, kind }).
+  // One ticker compares wall-clock due times, so actions whose timers were throttled
+  // in a background tab still fire; sends go through sendAction and queue while reconnecting.
+  const schedules = new Map();
+  const SCHEDULE_TICK_MS = 250;
+  let scheduleSeq = 0;
+  let lastScheduleId = '';
+  let scheduleTimer = null;
+
+  // Remembered devices are saved to localStorage and restored at startup through
+  // navigator.bluetooth.getDevices(). Records whose device the browser no longer grants
+  // stay in `stored` until the device is picked again.
+  const STORAGE_KEY = 'btRelayNUS.devices';
+  const SETTINGS_KEY = 'btRelayNUS.settings';
+  const GROUPS_KEY = 'btRelayNUS.groups';
+  const stored = new Map(); // id -> { id, name, alias, profile, channels, state }
+  let autoConnect = false;
+  let persistTimer = null;
+
+  // Named device groups (name -> [alias or ID, ...]), resolved when used
+  const groups = new Map();
+
+  // Multi-channel boards: channel 1..CHANNEL_MAX
+  const CHANNEL_MAX = 8;
+
+  // Safety: per-device max ON time and minimum switch interval live on the session (saved with
+  // the device). Interlocks are channel pairs, possibly on two devices, that must never be ON
+  // together. OFF is never refused and does not count toward the minimum interval.
+  // safeStop: all relays OFF on the stop button, the green flag (which stops first) and page unload.
+  const interlocks = [];     // { a: { key, ch }, b: { key, ch } } (key = device ID, so renames keep the rule)
+  let safeStop = false;
+
+  // Bulk operations: devices are handled in parallel, at most bulkConcurrency at a time.
+  // The last run's result per device is kept for the report reporters.
+  let bulkConcurrency = 4;
+  let bulkReport = [];       // { id, ok, state, error } (state only for confirmed runs)
+
+  // Tab sharing (BroadcastChannel, same origin). The tab holding a GATT link is its owner: it
+  // announces connection and channel states, forwards every notification and runs relay
+  // commands (through its own safety rules and log) and raw sends asked for by other tabs.
+  // Those tabs keep proxy sessions (session.ownerTab = owner's tab ID) that
+  // mirror the owner and go through the same blocks, queue and HAT logic. A closing owner says
+  // 'bye' (a silent one is dropped after TAB_STALE_MS); the remaining tab with the smallest ID
+  // then reconnects the device itself through getDevices(), which needs no user gesture.
+  const TAB_CHANNEL = 'btRelayNUS.tabs';
+  const TAB_HEARTBEAT_MS = 5000;
+  const TAB_STALE_MS = 65000;       // hidden tabs may run their timers only once a minute
+  const TAB_REQUEST_MS = 5000;
+  const tabId = Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+  const peers = new Map();          // tab ID -> time last heard from
+  const tabPending = new Map();     // request ID -> { to, resolve, reject, timer }
+  let tabChannel = null;
+  let tabTimer = null;
+  let tabSeq = 0;
+
+  // Connection state machine (one state per session, changed only through setState):
+  //   idle -> connecting -> discovering -> connected
+  //   connecting / discovering fail, or the link drops -> backoff -> connecting -> ...
+  //   backoff after maxAttempts failed attempts -> failed;  disconnect blocks -> idle
+  // 'scanning' is the device chooser, which runs before there is a session.
+  const CONNECTION_STATES = ['idle', 'scanning', 'connecting', 'discovering', 'connected', 'backoff', 'failed'];
+  let scanning = false;
+
+  // Auto-reconnect backoff: minMs doubling up to maxMs, +/- jitter (0..1), maxAttempts 0 = unlimited
+  const reconnectPolicy = { maxAttempts: 0, minMs: 1000, maxMs: 15000, jitter: 0.2 };
+
+  // Auto-poll (shared interval, one timer per session)
+  let pollIntervalMs = 0;
+
+  // Send queue while disconnected (per session). Policy when a command is queued:
+  //   'dropOldest': keep everything, drop the oldest entry when full
+  //   'latest':     an ON/OFF supersedes queued state commands for the same channel (and READ
+  //                 supersedes READ), so a long outage does not replay a stale ON/OFF history
+  //   'reject':     fail the command when the queue is full
+  // Entries older than queueTtlMs (0 = no limit) are dropped before sending.
+  let queuePolicy = 'dropOldest';
+  let queueMax = 20;
+  let queueTtlMs = 0;
+
+  // Acknowledged commands: wait for a matching notification, retry on timeout
+  let ackTimeoutMs = 1000;
+  let ackRetries = 2;
+
+  // RX framing for text profiles: 'lf' / 'cr' (delimiter), 'fixed' (rxFixedLen bytes)
+  // or 'none' (one notification = one message). A delimited message without its
+  // delimiter is flushed after RX_IDLE_MS, so firmware that sends no line ending keeps working.
+  let rxFraming = 'lf';
+  let rxFixedLen = 4;
+  const RX_IDLE_MS = 50;
+  const RX_BUF_MAX = 1024;
+
+  // TX chunking: the default ATT MTU (23) leaves 20 bytes per write
+  let txChunkSize = 20;
+  let txPaceMs = 10;
+
+  function environmentWarning() {
+	if (Scratch.extensions && Scratch.extensions.unsandboxed === false) return 'err.sandboxed';
+	if (typeof navigator === 'undefined' || !navigator.bluetooth) return 'err.noBluetooth';
+	return '';
+  }
+
+  function menuItems(values) { return values.map(value => ({ text: msg('menu.' + value), value })); }
+
+  function setError(e) {
+	lastError = (e && e.message) ? e.message : String(e || '');
+	lastErrorCode = (e && e.code) || '';
+  }
+  function clearError() { lastError = ''; lastErrorCode = ''; }
+
+  function emitEvent(type, s, fields) {
+	eventQueue.push(Object.assign({ type, id: s ? s.id : '', ch: 0, message: '', state: '' }, fields));
+	if (eventQueue.length > EVENT_QUEUE_MAX) eventQueue.shift();
+  }
+  // Runs before every frame; an event waits for the next frame when one of its HATs already
+  // started this frame, which keeps the overall order
+  function dispatchEvents() {
+	const started = new Set();
+	while (eventQueue.length) {
+	  const ev = eventQueue[0];
+	  const opcodes = EVENT_HATS[ev.type];
+	  if (opcodes.some(op => started.has(op))) break;
+	  eventQueue.shift();
+	  lastEvent = ev;
+	  for (const op of opcodes) {
+		started.add(op);
+		for (const thread of runtime.startHats(`${EXTENSION_ID}_${op}`) || []) thread.btRelayEvent = ev;
+	  }
+	}
+  }
+  function attachRuntime(rt) {
+	if (!rt || rt === runtime) return;
+	if (runtime) {
+	  runtime.off('BEFORE_EXECUTE', dispatchEvents);
+	  runtime.off('PROJECT_STOP_ALL', onStopAll);
+	}
+	runtime = rt;
+	runtime.on('BEFORE_EXECUTE', dispatchEvents);
+	runtime.on('PROJECT_STOP_ALL', onStopAll);
+  }
+  // scratch-vm also stops everything when the green flag is clicked, so this runs then too.
+  // Scheduled OFFs stay; anything that could switch a relay back ON is cancelled.
+  function onStopAll() {
+	if (safeStop) allOff({ keepOffSchedules: true }).catch(setError);
+  }
+  function threadEvent(util, type) {
+	const ev = util && util.thread && util.thread.btRelayEvent;
+	return (ev && (!type || ev.type === type)) ? ev : null;
+  }
+  function eventFromDevice(ev, v) {
+	const s = findSession(v);
+	return !!s && s.id === ev.id;
+  }
+
+  function createSession(dev) {
+	const s = {
+	  id: dev.id, name: dev.name || '', alias: '', device: null,
+	  server: null, rxChar: null, txChar: null,
+	  state: 'idle',      // see CONNECTION_STATES
+	  connected: false,   // state === 'connected'
+	  wantReconnect: false,
+	  connectPromise: null, // attempt in progress, shared by every caller
+	  lastStateText: '',  // last state reply ('on'/'off', '1'/'0', '1010', ...)
+	  lastStateNum: 0,    // 1/0 (channel 1)
+	  lastMessage: '',    // any received message
+	  prevStateNum: 0,
+	  channelCount: 1,    // grows when a reply mentions more channels
+	  channelStates: [0], // index 0 = channel 1
+	  backoffMs: 0, attempts: 0, reconnectTimer: null,
+	  pollTimer: null,
+	  sendQueue: [],               // { data, at, action, ch }
+	  queueDropped: 0,             // entries dropped (full / expired / rejected)
+	  waiters: [],                   // pending acknowledgements
+	  rxBuf: [], rxTimer: null,      // bytes of an incomplete message
+	  writeChain: Promise.resolve(), // serializes GATT writes
+	  profileId: selectedProfile,    // 'auto' or a profile id
+	  profile: null,                 // profile in use (detected on connect)
+	  rssi: null,                    // dBm from the last advertisement (null = unknown)
+	  battery: null,                 // Battery Service level in % (null = unknown)
+	  info: { model: '', firmware: '', manufacturer: '' }, // Device Information Service
+	  batteryChar: null,
+	  connectedAt: 0,                // time of the last successful connect
+	  reconnects: 0,                 // successful connects after the first one
+	  maxOnMs: 0,                    // safety: automatic OFF after this long ON (0 = off)
+	  minIntervalMs: 0,              // safety: minimum time between switches (0 = off)
+	  onTimers: [],                  // max ON timers, index 0 = channel 1
+	  switchedAt: [],                // time of the last ON / TOGGLE command per channel
+	  commands: {},                  // action -> custom command text ({ch}, \n, \r, \t)
+	  replyRules: [],                // custom reply parsing, tried before the built-in formats
+	  lastBytes: null,               // raw bytes of the last received message (Uint8Array)
+	  telemetry: {},                 // key -> number | string, from telemetry messages
+	  log: [],                       // event log, see LOG_MAX
+	  ownerTab: '',                  // tab holding the link when this is a proxy session
+	  baudRate: 0,                   // serial ports: bits per second (0 = serialBaudRate)
+	  serialReader: null, serialWriter: null // open serial port streams
+	};
+	s.onNotify = (event) => {
+	  shareNotify(s, event.target.value);
+	  profileOf(s).parse(event.target.value, s);
+	};
+	s.onGattDisconnected = () => handleDisconnected(s);
+	s.onBattery = (event) => { s.battery = event.target.value.getUint8(0); };
+	s.onAdvertisement = (event) => { if (typeof event.rssi === 'number') s.rssi = event.rssi; };
+	attachDevice(s, dev);
+	return s;
+  }
+
+  function attachDevice(s, dev) {
+	if (s.device === dev) return;
+	if (s.device) detachDevice(s);
+	s.device = dev;
+	s.name = dev.name || s.name;
+	dev.addEventListener('gattserverdisconnected', s.onGattDisconnected);
+	dev.addEventListener('advertisementreceived', s.onAdvertisement);
+  }
+  function detachDevice(s) {
+	s.device.removeEventListener('gattserverdisconnected', s.onGattDisconnected);
+	s.device.removeEventListener('advertisementreceived', s.onAdvertisement);
+  }
+
+  function stopPolling(s) { if (s.pollTimer) { clearInterval(s.pollTimer); s.pollTimer = null; } }
+  function startPolling(s) {
+	stopPolling(s);
+	if (pollIntervalMs > 0 && s.connected) {
+	  s.pollTimer = setInterval(() => { readState(s).catch(setError); }, pollIntervalMs);
+	}
+  }
+
+  function setState(s, state) {
+	if (s.state === state) return;
+	const wasConnected = s.connected;
+	s.state = state;
+	s.connected = (state === 'connected');
+	emitEvent('state', s, { state });
+	if (s.connected && !wasConnected) { emitEvent('connected', s); logEvent(s, 'connect'); }
+	if (!s.connected && wasConnected) { emitEvent('disconnected', s); logEvent(s, 'disconnect'); }
+	shareState(s);
+  }
+
+  // Explicit connect requests start a fresh reconnect cycle
+  function wantConnection(s) {
+	s.wantReconnect = true;
+	s.attempts = 0;
+	stopReconnectTimer(s);
+  }
+
+  function stopReconnectTimer(s) {
+	if (!s.reconnectTimer) return;
+	clearTimeout(s.reconnectTimer);
+	s.reconnectTimer = null;
+	if (s.state === 'backoff') setState(s, 'idle');
+  }
+  function scheduleReconnect(s) {
+	if (!s.wantReconnect || s.reconnectTimer || s.connectPromise || s.connected || s.ownerTab) return;
+	const { maxAttempts, minMs, maxMs, jitter } = reconnectPolicy;
+	if (maxAttempts > 0 && s.attempts >= maxAttempts) { setState(s, 'failed'); return; }
+	const base = Math.min(maxMs, minMs * Math.pow(2, Math.min(s.attempts, 30)));
+	s.backoffMs = Math.max(0, Math.round(base * (1 + jitter * (Math.random() * 2 - 1))));
+	s.attempts++;
+	setState(s, 'backoff');
+	s.reconnectTimer = setTimeout(() => {
+	  s.reconnectTimer = null;
+	  reconnect(s).catch((e) => { setError(e); scheduleReconnect(s); });
+	}, s.backoffMs);
+  }
+
+  async function disconnectInternal(s, { forget = false } = {}) {
+	if (s.ownerTab && !forget) { tabPost({ type: 'disconnect', to: s.ownerTab, id: s.id }); return; }
+	s.wantReconnect = false;
+	stopReconnectTimer(s);
+	await transportOf(s).close(s);
+	setState(s, 'idle');
+	stopPolling(s);
+	failWaiters(s, error('err.disconnected'));
+	resetRx(s);
+	if (forget) {
+	  for (let ch = 1; ch <= CHANNEL_MAX; ch++) clearMaxOn(s, ch);
+	  detachDevice(s);
+	  dropInterlocksOf(s);
+	  s.sendQueue.length = 0;
+	  known.delete(s.id);
+	  cancelSchedulesOf(s.id);
+	  persistSoon();
+	  if (active === s) active = null;
+	}
+  }
+
+  async function onConnected(s) {
+	s.backoffMs = 0;
+	s.attempts = 0;
+	if (s.connectedAt) s.reconnects++;
+	s.connectedAt = Date.now();
+	clearError();
+	startPolling(s);
+	persistSoon(); // detected profile
+	// Channels restored as ON (or left ON over a drop) are timed as well
+	for (let ch = 1; ch <= s.channelCount; ch++) { if (!s.onTimers[ch - 1]) armMaxOn(s, ch); }
+	const transport = transportOf(s);
+	if (transport.health) await transport.health(s);
+	// Drain queued sends
+	pruneQueue(s);
+	while (s.sendQueue.length && s.connected) {
+	  const entry = s.sendQueue.shift();
+	  try { await sendAscii(s, entry.data); } catch (e) { setError(e); break; }
+	}
+  }
+
+  // Listeners are removed before the characteristics are dropped: browsers may hand out the
+  // same characteristic objects again after a reconnect
+  function detachGatt(s) {
+	if (s.txChar) s.txChar.removeEventListener('characteristicvaluechanged', s.onNotify);
+	if (s.batteryChar) s.batteryChar.removeEventListener('characteristicvaluechanged', s.onBattery);
+	s.server = s.rxChar = s.txChar = s.batteryChar = null;
+  }
+
+  async function setupGatt(s) {
+	const { profile, service } = await detectProfile(s);
+	s.profile = profile;
+	s.rxChar = await service.getCharacteristic(profile.rx);
+	s.txChar = await service.getCharacteristic(profile.tx);
+	await s.txChar.startNotifications();
+	s.txChar.addEventListener('characteristicvaluechanged', s.onNotify);
+  }
+
+  // Transports carry a session's bytes; the state machine, queue, framing, profiles and
+  // HATs above them are shared. The session's device object picks one (see transportOf).
+  //   open(s):  opens the link and starts delivering received bytes to s.onNotify
+  //   close(s): closes it without raising a disconnect; also cleans up after a dropped link
+  //   isOpen(s) / ready(s): link up / writes possible;  write(s, bytes)
+  //   chunked: writes are split by txChunkSize;  health(s): optional reads after a connect
+  const transports = {
+	ble: {
+	  id: 'ble', chunked: true,
+	  async open(s) {
+		detachGatt(s);
+		s.server = await s.device.gatt.connect();
+		setState(s, 'discovering');
+		await setupGatt(s);
+	  },
+	  async close(s) {
+		detachGatt(s);
+		try { if (s.device.gatt.connected) s.device.gatt.disconnect(); } catch (e) {}
+	  },
+	  isOpen: (s) => !!s.device.gatt.connected,
+	  ready: (s) => !!s.rxChar,
+	  write: (s, bytes) => s.rxChar.writeValue(bytes),
+	  health: (s) => readHealth(s)
+	},
+	serial: {
+	  id: 'serial', chunked: false,
+	  async open(s) {
+		await transports.serial.close(s);
+		const port = await grantedSerialPort(s);
+		await port.open({ baudRate: s.baudRate || serialBaudRate });
+		// Serial boards have no services to detect from: 'auto' means the text protocol
+		s.profile = (s.profileId === 'auto') ? profiles.get('nus') : profileArg(s.profileId);
+		s.serialWriter = port.writable.getWriter();
+		s.serialReader = port.readable.getReader();
+		readSerial(s, s.serialReader);
+	  },
+	  async close(s) {
+		const { serialReader: reader, serialWriter: writer } = s;
+		s.serialReader = s.serialWriter = null;
+		try { if (reader) { await reader.cancel(); reader.releaseLock(); } } catch (e) {}
+		try { if (writer) writer.releaseLock(); } catch (e) {}
+		try { if (s.device.serial.readable || s.device.serial.writable) await s.device.serial.close(); } catch (e) {}
+	  },
+	  isOpen: (s) => !!s.serialWriter,
+	  ready: (s) => !!s.serialWriter,
+	  write: (s, bytes) => s.serialWriter.write(bytes)
+	}
+  };
+  function transportOf(s) { return s.device.serial ? transports.serial : transports.ble; }
+
+  function serialApi() {
+	return (typeof navigator !== 'undefined' && navigator.serial) || null;
+  }
+  function usbIdHex(n) { return n.toString(16).padStart(4, '0'); }
+  // Ports have no stable ID: 'serial-<vendor>-<product>', plus '-2', '-3', ... for identical
+  // adapters in the order the browser lists them
+  function serialId(port, ports) {
+	const { usbVendorId = 0, usbProductId = 0 } = port.getInfo();
+	const same = ports.filter(p => {
+	  const info = p.getInfo();
+	  return info.usbVendorId === usbVendorId && info.usbProductId === usbProductId;
+	});
+	const n = same.indexOf(port);
+	return `serial-${usbIdHex(usbVendorId)}-${usbIdHex(usbProductId)}` + (n > 0 ? `-${n + 1}` : '');
+  }
+  // Stand-in device for a serial port: sessions hold devices, the transport holds the port
+  function serialDevice(port, ports) {
+	const { usbVendorId = 0, usbProductId = 0 } = port.getInfo();
+	return {
+	  id: serialId(port, ports), name: `USB serial ${usbIdHex(usbVendorId)}:${usbIdHex(usbProductId)}`, serial: port,
+	  addEventListener() {}, removeEventListener() {}
+	};
+  }
+  // An unplugged and replugged adapter may come back as a new port object
+  async function grantedSerialPort(s) {
+	const serial = serialApi();
+	if (!serial) throw error('err.noSerial');
+	const ports = await serial.getPorts();
+	if (ports.includes(s.device.serial)) return s.device.serial;
+	const port = ports.find(p => serialId(p, ports) === s.id);
+	if (!port) throw error('err.serialGone', s.alias || s.name || s.id);
+	s.device.serial = port;
+	return port;
+  }
+  // Received bytes go through s.onNotify like GATT notifications (tab sharing, framing, profile).
+  // The loop ends when the port is closed here (no disconnect) or the adapter is unplugged.
+  async function readSerial(s, reader) {
+	try {
+	  for (;;) {
+		const { value, done } = await reader.read();
+		if (done) break;
+		if (value && value.length) s.onNotify({ target: { value: new DataView(value.buffer, value.byteOffset, value.byteLength) } });
+	  }
+	} catch (e) {}
+	if (s.serialReader !== reader) return;
+	handleDisconnected(s);
+  }
+
+  async function requestSerialAndConnect() {
+	const serial = serialApi();
+	if (!serial) throw error('err.noSerial');
+	let port;
+	try {
+	  port = await serial.requestPort();
+	} catch (e) {
+	  if (isChooserCancel(e)) throw error('err.scanCancelled');
+	  throw e;
+	}
+	const s = rememberDevice(serialDevice(port, await serial.getPorts()));
+	active = s;
+	wantConnection(s);
+	await reconnect(s);
+	return s;
+  }
+
+  async function detectProfile(s) {
+	const candidates = (s.profileId === 'auto') ? Array.from(profiles.values()) : [profileArg(s.profileId)];
+	for (const profile of candidates) {
+	  try { return { profile, service: await s.server.getPrimaryService(profile.service) }; }
+	  catch (e) { if (candidates.length === 1) throw e; }
+	}
+	throw error('err.noService');
+  }
+
+  // Health: Battery Service, Device Information Service and advertisement RSSI.
+  // Boards without these services simply keep the defaults; nothing here fails a connect.
+  async function readHealth(s) {
+	try {
+	  const service = await s.server.getPrimaryService(BATTERY_SERVICE);
+	  s.batteryChar = await service.getCharacteristic(BATTERY_LEVEL);
+	  s.battery = (await s.batteryChar.readValue()).getUint8(0);
+	  await s.batteryChar.startNotifications();
+	  s.batteryChar.addEventListener('characteristicvaluechanged', s.onBattery);
+	} catch (e) {}
+	try {
+	  const service = await s.server.getPrimaryService(DIS_SERVICE);
+	  for (const [field, uuid] of Object.entries(DIS_FIELDS)) {
+		try { s.info[field] = decodeText(new Uint8Array((await (await service.getCharacteristic(uuid)).readValue()).buffer)); }
+		catch (e) {}
+	  }
+	} catch (e) {}
+	watchRssi(s);
+  }
+  async function readBattery(s) {
+	if (!s.connected || !s.batteryChar) return;
+	s.battery = (await s.batteryChar.readValue()).getUint8(0);
+  }
+  // watchAdvertisements() is behind a flag in most browsers; RSSI stays unknown without it
+  function watchRssi(s) {
+	if (typeof s.device.watchAdvertisements !== 'function' || s.device.watchingAdvertisements) return;
+	s.device.watchAdvertisements().catch(() => {});
+  }
+  function uptimeOf(s) {
+	return (s.connected && s.connectedAt) ? Math.floor((Date.now() - s.connectedAt) / 1000) : 0;
+  }
+  function diagnosticsOf(s) {
+	return {
+	  id: s.id, name: s.name, alias: s.alias || undefined,
+	  connected: s.connected,
+	  rssi: s.rssi, battery: s.battery,
+	  model: s.info.model, firmware: s.info.firmware, manufacturer: s.info.manufacturer,
+	  profile: profileOf(s).id,
+	  uptimeSec: uptimeOf(s),
+	  reconnects: s.reconnects,
+	  state: s.state,
+	  attempts: s.attempts,
+	  backoffMs: s.reconnectTimer ? s.backoffMs : 0,
+	  queueLength: s.sendQueue.length,
+	  queueDropped: s.queueDropped
+	};
+  }
+  function healthField(s, field) {
+	switch (field) {
+	  case 'rssi':       return s.rssi === null ? '' : s.rssi;
+	  case 'battery':    return s.battery === null ? '' : s.battery;
+	  case 'uptime':     return uptimeOf(s);
+	  case 'reconnects': return s.reconnects;
+	  default:           return s.info[field] ?? '';
+	}
+  }
+
+  function profileOf(s) {
+	return s.profile || profiles.get(s.profileId) || profiles.get('nus');
+  }
+  function profileArg(v) {
+	const id = String(v ?? '').trim();
+	if (id !== 'auto' && !profiles.has(id)) throw error('err.unknownProfile', id);
+	return id === 'auto' ? id : profiles.get(id);
+  }
+  function setProfileOf(s, id) {
+	s.profileId = id;
+	if (!s.connected) s.profile = null; // applied on the next connect
+	persistSoon();
+  }
+  function profileServices() {
+	const services = Array.from(profiles.values()).map(p => p.service).concat([BATTERY_SERVICE, DIS_SERVICE]);
+	return Array.from(new Set(services));
+  }
+
+  // Reassemble notifications into messages according to rxFraming
+  function receiveChunk(s, value) {
+	const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+	if (rxFraming === 'none') { handleReply(s, bytes); return; }
+	for (const b of bytes) s.rxBuf.push(b);
+	if (s.rxBuf.length > RX_BUF_MAX) s.rxBuf.splice(0, s.rxBuf.length - RX_BUF_MAX);
+	if (rxFraming === 'fixed') {
+	  while (s.rxBuf.length >= rxFixedLen) handleReply(s, s.rxBuf.splice(0, rxFixedLen));
+	} else {
+	  const delim = (rxFraming === 'cr') ? 0x0D : 0x0A;
+	  let i;
+	  while ((i = s.rxBuf.indexOf(delim)) >= 0) handleReply(s, s.rxBuf.splice(0, i + 1));
+	}
+	clearTimeout(s.rxTimer);
+	s.rxTimer = (s.rxBuf.length && rxFraming !== 'fixed') ? setTimeout(() => flushRx(s), RX_IDLE_MS) : null;
+  }
+  function flushRx(s) {
+	s.rxTimer = null;
+	if (s.rxBuf.length) handleReply(s, s.rxBuf.splice(0));
+  }
+  function resetRx(s) {
+	clearTimeout(s.rxTimer);
+	s.rxTimer = null;
+	s.rxBuf.length = 0;
+  }
+  function decodeText(bytes) {
+	return new TextDecoder().decode(Uint8Array.from(bytes)).trim();
+  }
+  // bytes: one framed message. Binary protocols should use 'fixed' or 'none' framing,
+  // since a 0x0A / 0x0D byte would split the frame otherwise.
+  function handleReply(s, bytes) {
+	const v = decodeText(bytes);
+	if (!v && rxFraming !== 'none') return; // e.g. the LF of a CRLF pair
+	s.lastBytes = Uint8Array.from(bytes);
+	recordMessage(s, v);
+	const isState = updateStateFromText(s, v);
+	updateTelemetry(s, v);
+	settleWaiters(s, isState);
+  }
+
+  // Telemetry: 'temp=23.5,amp=0.42' / 'temp:23.5 in1:1' or a JSON object (nested keys joined
+  // with '.'). Channel pairs ('ch2=on') are relay state, not telemetry. One event per message
+  // carries the changed keys with their previous values, for the threshold HAT.
+  function updateTelemetry(s, v) {
+	const values = parseTelemetry(v);
+	const keys = Object.keys(values);
+	if (!keys.length) return;
+	const prev = {};
+	for (const k of keys) {
+	  prev[k] = s.telemetry[k];
+	  s.telemetry[k] = values[k];
+	}
+	emitEvent('telemetry', s, { values, prev });
+  }
+  function parseTelemetry(v) {
+	const out = {};
+	if (/^\s*\{/.test(v)) {
+	  let obj;
+	  try { obj = JSON.parse(v); } catch (e) { return out; }
+	  (function walk(o, prefix) {
+		for (const [k, x] of Object.entries(o)) {
+		  if (x !== null && typeof x === 'object') walk(x, prefix + k + '.');
+		  else if (x !== null) out[prefix + k] = (typeof x === 'boolean') ? (x ? 1 : 0) : x;
+		}
+	  })(obj, '');
+	  return out;
+	}
+	const re = /([A-Za-z_][\w.]*)\s*[=:]\s*([^,;\s]+)/g;
+	let m;
+	while ((m = re.exec(v))) {
+	  if (/^ch\d+$/i.test(m[1])) continue;
+	  out[m[1]] = /^-?\d+(\.\d+)?$/.test(m[2]) ? Number(m[2]) : m[2];
+	}
+	return out;
+  }
+  // Threshold crossing: true when the new value passes and the previous one did not
+  function crossed(ev, key, op, threshold) {
+	if (!ev.values || !(key in ev.values)) return false;
+	const pass = (x) => {
+	  const n = Number(x);
+	  if (x === undefined || x === '' || Number.isNaN(n)) return false;
+	  return op === '<' ? n < threshold : n > threshold;
+	};
+	return pass(ev.values[key]) && !pass(ev.prev[key]);
+  }
+
+  function recordMessage(s, v) {
+	s.lastMessage = v;
+	lastMessage = { time: Date.now(), id: s.id, message: v };
+	messageHistory.push(lastMessage);
+	trimHistory();
+	emitEvent('message', s, { message: v });
+  }
+  function trimHistory() {
+	if (messageHistory.length > historyMax) messageHistory.splice(0, messageHistory.length - historyMax);
+  }
+
+  // Event log
+  function logEvent(s, event, { ch = 0, value = '', detail = '' } = {}) {
+	s.log.push({ time: Date.now(), event, ch, value, detail });
+	if (s.log.length > LOG_MAX) s.log.splice(0, s.log.length - LOG_MAX);
+  }
+  // Channel ch over the last windowMs (0 = since the first log entry):
+  // { onMs, switches, spanMs }. The state before the first logged change counts as OFF.
+  function onTimeStats(s, ch, windowMs) {
+	const now = Date.now();
+	const changes = s.log.filter(e => e.event === 'state' && e.ch === ch);
+	const from = windowMs > 0 ? now - windowMs : (s.log.length ? s.log[0].time : now);
+	let state = 0, since = from, onMs = 0, switches = 0;
+	for (const e of changes) {
+	  if (e.time <= from) { state = e.value; continue; }
+	  if (state === 1) onMs += e.time - since;
+	  state = e.value;
+	  since = e.time;
+	  switches++;
+	}
+	if (state === 1) onMs += now - since;
+	return { onMs, switches, spanMs: now - from };
+  }
+  function statsArg(args) {
+	const s = findSession(args.id);
+	if (!s) return null;
+	return onTimeStats(s, Math.floor(Number(args.ch)) || 1, Math.max(0, Number(args.sec) || 0) * 1000);
+  }
+  // One CSV field, quoted when it holds a quote, comma or line break
+  function csvCell(v) {
+	const t = String(v);
+	return /[",\n]/.test(t) ? '"' + t.replace(/"/g, '""') + '"' : t;
+  }
+  function logCsv(sessions) {
+	const rows = [];
+	for (const s of sessions) {
+	  for (const e of s.log) rows.push([e.time, s.id, s.alias, e.event, e.ch || '', e.value, e.detail]);
+	}
+	rows.sort((a, b) => a[0] - b[0]);
+	return ['time,id,alias,event,channel,value,detail']
+	  .concat(rows.map(r => [new Date(r[0]).toISOString()].concat(r.slice(1)).map(csvCell).join(',')))
+	  .join('\n');
+  }
+  function downloadText(filename, text, type) {
+	if (typeof document === 'undefined' || typeof Blob === 'undefined') throw error('err.noDownload');
+	const url = URL.createObjectURL(new Blob([text], { type }));
+	const a = document.createElement('a');
+	a.href = url;
+	a.download = filename;
+	document.body.appendChild(a);
+	a.click();
+	a.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Pattern: regular expression source ('^BTN', 'ERR|FAIL'); invalid expressions match as plain text
+  function matchesPattern(pattern, message) {
+	const re = compilePattern(pattern);
+	return re ? re.test(message) : message.includes(pattern);
+  }
+  function compilePattern(pattern) {
+	let re = patternCache.get(pattern);
+	if (re === undefined) {
+	  try { re = new RegExp(pattern); } catch (e) { re = null; }
+	  patternCache.set(pattern, re);
+	}
+	return re;
+  }
+
+  // Device reply rules first, then the built-in formats. Other messages leave the state untouched.
+  function updateStateFromText(s, v) {
+	const matched = applyReplyRules(s, v) || parseStateText(s, v);
+	if (matched) s.lastStateText = v;
+	s.prevStateNum = s.lastStateNum;
+	return matched;
+  }
+
+  // Accepts 'on'/'off'/'1'/'0' (channel 1), a bit string per channel ('1010' = ch1 on, ch2 off, ...)
+  // or channel pairs ('ch2=on', 'ch1:0,ch3:1')
+  function parseStateText(s, v) {
+	const t = v.toLowerCase();
+	let matched = true;
+	if (t === 'on' || t === '1') setChannelState(s, 1, 1);
+	else if (t === 'off' || t === '0') setChannelState(s, 1, 0);
+	else if (/^[01]{2,8}$/.test(t)) {
+	  for (let i = 0; i < t.length; i++) setChannelState(s, i + 1, Number(t[i]));
+	} else {
+	  const re = /ch\s*(\d+)\s*[=:]\s*(on|off|1|0)\b/g;
+	  let m;
+	  matched = false;
+	  while ((m = re.exec(t))) {
+		matched = true;
+		setChannelState(s, Number(m[1]), (m[2] === 'on' || m[2] === '1') ? 1 : 0);
+	  }
+	}
+	return matched;
+  }
+
+  // Reply rules (per device, all are tried):
+  //   { kind: 'literal', text, ch, state }  exact reply (case-insensitive) -> state of channel ch
+  //   { kind: 'regex', pattern, ch }        group 'state' or 1 = state, optional group 'ch' = channel
+  //   { kind: 'json', path, ch }            value at path ('relay', 'relays.0'); an array sets ch, ch+1, ...
+  function applyReplyRules(s, v) {
+	let matched = false;
+	for (const rule of s.replyRules) {
+	  for (const [ch, state] of ruleStates(rule, v)) {
+		if (state === null || !(ch >= 1 && ch <= CHANNEL_MAX)) continue;
+		setChannelState(s, ch, state);
+		matched = true;
+	  }
+	}
+	return matched;
+  }
+  function ruleStates(rule, v) {
+	if (rule.kind === 'literal') {
+	  return v.trim().toLowerCase() === String(rule.text).trim().toLowerCase() ? [[rule.ch, rule.state]] : [];
+	}
+	if (rule.kind === 'regex') {
+	  const m = compilePattern(rule.pattern)?.exec(v);
+	  if (!m) return [];
+	  const g = m.groups || {};
+	  return [[g.ch !== undefined ? Number(g.ch) : rule.ch, stateValue(g.state !== undefined ? g.state : m[1])]];
+	}
+	if (rule.kind === 'json') {
+	  let value;
+	  try { value = valueAtPath(JSON.parse(v), rule.path); } catch (e) { return []; }
+	  if (Array.isArray(value)) return value.map((x, i) => [rule.ch + i, stateValue(x)]);
+	  return value === undefined ? [] : [[rule.ch, stateValue(value)]];
+	}
+	return [];
+  }
+  function addReplyRule(args, rule) {
+	try {
+	  const s = sessionOf(args.id);
+	  s.replyRules.push(Object.assign(rule, { ch: channelArg(args.ch) }));
+	  persistSoon();
+	} catch (e) { setError(e); throw e; }
+  }
+  function valueAtPath(obj, path) {
+	let v = obj;
+	for (const key of String(path).split('.').filter(Boolean)) {
+	  if (v === null || typeof v !== 'object') return undefined;
+	  v = v[key];
+	}
+	return v;
+  }
+  // true/1/'on'/'high' -> 1, false/0/'off'/'low' -> 0, anything else -> null
+  function stateValue(x) {
+	if (typeof x === 'boolean') return x ? 1 : 0;
+	if (typeof x === 'number') return x ? 1 : 0;
+	const t = String(x ?? '').trim().toLowerCase();
+	if (['1', 'on', 'true', 'high'].includes(t)) return 1;
+	if (['0', 'off', 'false', 'low'].includes(t)) return 0;
+	return null;
+  }
+
+  function setChannelCount(s, n) {
+	s.channelCount = Math.min(CHANNEL_MAX, Math.max(1, n));
+	while (s.channelStates.length < s.channelCount) s.channelStates.push(0);
+	s.channelStates.length = s.channelCount;
+  }
+
+  function setChannelState(s, ch, v) {
+	if (ch < 1 || ch > CHANNEL_MAX) return;
+	if (ch > s.channelCount) setChannelCount(s, ch);
+	const before = s.channelStates[ch - 1];
+	s.channelStates[ch - 1] = v;
+	if (before === 0 && v === 1) emitEvent('on', s, { ch });
+	if (before === 1 && v === 0) emitEvent('off', s, { ch });
+	if (before !== v) logEvent(s, 'state', { ch, value: v });
+	if (before !== v) armMaxOn(s, ch);
+	if (ch === 1) s.lastStateNum = v;
+	if (before !== v) persistSoon();
+	if (before !== v) shareState(s);
+  }
+
+  function stateMaskOf(s) {
+	return s.channelStates.reduce((mask, v, i) => mask | (v << i), 0);
+  }
+
+  function channelArg(v) {
+	const n = Math.floor(Number(v));
+	if (!(n >= 1 && n <= CHANNEL_MAX)) throw error('err.badChannel', v);
+	return n;
+  }
+
+  // Channel-addressed command ('ch2=on'); channel 1 of a single-channel board keeps '1'/'0'/'t'
+  function channelCommand(s, ch, action) {
+	if (action === 'READ') return 's';
+	if (ch === 1 && s.channelCount <= 1) return action === 'ON' ? '1' : action === 'OFF' ? '0' : 't';
+	return `ch${ch}=` + (action === 'ON' ? 'on' : action === 'OFF' ? 'off' : 't');
+  }
+
+  // The device's command table wins over the profile. With custom ON and OFF but no TOGGLE,
+  // a toggle sends whichever of the two flips the known state.
+  function encodeCommand(s, action, ch) {
+	const custom = s.commands[action];
+	if (custom) return unescapeText(custom).replace(/\{ch\}/g, String(ch));
+	if (action === 'TOGGLE' && s.commands.ON && s.commands.OFF) {
+	  return encodeCommand(s, s.channelStates[ch - 1] ? 'OFF' : 'ON', ch);
+	}
+	return profileOf(s).encode(action, ch, s);
+  }
+  function unescapeText(v) {
+	return String(v).replace(/\\([nrt\\])/g, (_, c) => ({ n: '\n', r: '\r', t: '\t' })[c] || c);
+  }
+
+  function bluetoothApi() {
+	if (simulation) return sim;
+	return (typeof navigator !== 'undefined' && navigator.bluetooth) || null;
+  }
+
+  async function requestAndConnect() {
+	const bt = bluetoothApi();
+	if (!bt) throw error('err.noBluetooth');
+	scanning = true;
+	emitEvent('state', null, { state: 'scanning' });
+	let dev;
+	try {
+	  dev = await bt.requestDevice(scanOptions());
+	} catch (e) {
+	  if (isChooserCancel(e)) throw error('err.scanCancelled');
+	  throw e;
+	} finally {
+	  scanning = false;
+	}
+	const s = rememberDevice(dev);
+	active = s;
+	wantConnection(s);
+	await reconnect(s);
+	return s;
+  }
+
+  function scanOptions() {
+	const filters = [].concat(
+	  scanFilters.namePrefixes.map(namePrefix => ({ namePrefix })),
+	  scanFilters.names.map(name => ({ name })),
+	  scanFilters.services.map(service => ({ services: [service] })),
+	  scanFilters.manufacturers.map(m => ({
+		// Chrome rejects an empty dataPrefix, so none is given for "any data"
+		manufacturerData: [m.dataPrefix.length
+		  ? { companyIdentifier: m.companyIdentifier, dataPrefix: Uint8Array.from(m.dataPrefix) }
+		  : { companyIdentifier: m.companyIdentifier }]
+	  }))
+	);
+	const options = { optionalServices: profileServices() };
+	if (filters.length) options.filters = filters;
+	else options.acceptAllDevices = true;
+	return options;
+  }
+  // Closing the chooser (or finding nothing and closing it) rejects with NotFoundError;
+  // a missing adapter uses the same name
+  function isChooserCancel(e) {
+	return !!e && e.name === 'NotFoundError' && !/adapter/i.test(e.message || '');
+  }
+  // '0xFFE0' / 'ffe0' -> 0xffe0, anything else (full UUID, GATT name) as lower-case text
+  function serviceArg(v) {
+	const t = String(v).trim().toLowerCase();
+	return /^(0x)?[0-9a-f]{4}$/.test(t) ? parseInt(t.replace(/^0x/, ''), 16) : t;
+  }
+
+  // Concurrent callers (backoff timer, connect blocks, connectSendById) share one attempt.
+  // The attempt ends once the link is up, so a drop while draining the queue reconnects normally.
+  function reconnect(s) {
+	if (s.ownerTab) {
+	  // The owner connects; this tab follows its state announcements
+	  tabPost({ type: 'connect', to: s.ownerTab, id: s.id });
+	  return Promise.resolve();
+	}
+	if (s.connected && transportOf(s).isOpen(s)) return Promise.resolve();
+	if (!s.connectPromise) {
+	  stopReconnectTimer(s);
+	  s.connectPromise = openLink(s).then(
+		() => { s.connectPromise = null; return onConnected(s); },
+		(e) => { s.connectPromise = null; throw e; });
+	}
+	return s.connectPromise;
+  }
+  async function openLink(s) {
+	const transport = transportOf(s);
+	try {
+	  setState(s, 'connecting');
+	  await transport.open(s);
+	  setState(s, 'connected');
+	} catch (e) {
+	  await transport.close(s);
+	  setState(s, 'idle');
+	  logEvent(s, 'error', { detail: e.message || String(e) });
+	  throw e;
+	}
+  }
+
+  function handleDisconnected(s) {
+	if (s.connectPromise) return; // the attempt in progress fails and reports by itself
+	if (s.ownerTab) return;       // stepped back to proxy, see followOwner
+	transportOf(s).close(s);
+	setState(s, 'idle');
+	stopPolling(s);
+	failWaiters(s, error('err.disconnected'));
+	resetRx(s);
+	if (s.wantReconnect) scheduleReconnect(s);
+  }
+
+  // meta: { action, ch } for relay commands, used by the 'latest' queue policy
+  async function sendAscii(s, str, meta = null) {
+	if (!s) throw error('err.notConnected');
+	if (s.ownerTab) { await tabRequest(s, { type: 'send', data: str, meta }); return; }
+	if (!s.connected || !transportOf(s).ready(s)) {
+	  if (s.wantReconnect) {
+		enqueue(s, str, meta);
+		scheduleReconnect(s);
+		return;
+	  }
+	  throw error('err.notConnected');
+	}
+	// Binary profiles hand over a Uint8Array instead of text
+	const data = (typeof str === 'string') ? new TextEncoder().encode(str) : str;
+	await writeChunks(s, data);
+  }
+
+  function enqueue(s, data, meta) {
+	pruneQueue(s);
+	const entry = { data, at: Date.now(), action: meta ? meta.action : '', ch: meta ? meta.ch : 0 };
+	if (queuePolicy === 'latest' && entry.action && entry.action !== 'TOGGLE') {
+	  const isState = (a) => a === 'ON' || a === 'OFF' || a === 'TOGGLE';
+	  s.sendQueue = s.sendQueue.filter(q => !(q.ch === entry.ch &&
+		(entry.action === 'READ' ? q.action === 'READ' : isState(q.action))));
+	}
+	if (s.sendQueue.length >= queueMax) {
+	  noteDropped(s, 1);
+	  if (queuePolicy === 'reject') throw error('err.queueFull');
+	  s.sendQueue.shift();
+	}
+	s.sendQueue.push(entry);
+  }
+  function pruneQueue(s) {
+	if (queueTtlMs <= 0) return;
+	const limit = Date.now() - queueTtlMs;
+	const before = s.sendQueue.length;
+	s.sendQueue = s.sendQueue.filter(q => q.at >= limit);
+	if (s.sendQueue.length < before) noteDropped(s, before - s.sendQueue.length);
+  }
+  function noteDropped(s, n) {
+	s.queueDropped += n;
+	emitEvent('queueDropped', s, { count: n });
+  }
+  function queueSummary(s) {
+	const now = Date.now();
+	return s.sendQueue.map(q => ({
+	  data: (typeof q.data === 'string') ? q.data : toHex(q.data),
+	  action: q.action || undefined, channel: q.ch || undefined, ageMs: now - q.at
+	}));
+  }
+
+  // Raw bytes
+  // '01 a0 ff' / '01A0FF' / '0x01,0xa0' -> [1, 160, 255]. Only spaces, commas and 0x
+  // separate bytes; anything else is an error rather than silently skipped.
+  function parseHexBytes(v) {
+	const raw = String(v ?? '').replace(/0x/gi, ' ');
+	if (/[^0-9a-f\s,]/i.test(raw)) throw error('err.badHex', v);
+	const t = raw.replace(/[\s,]/g, '');
+	if (t.length % 2) throw error('err.badHex', v);
+	const out = [];
+	for (let i = 0; i < t.length; i += 2) out.push(parseInt(t.slice(i, i + 2), 16));
+	return out;
+  }
+  // '1,160,0x01' / '1 160 1' -> [1, 160, 1]
+  function parseByteList(v) {
+	return String(v ?? '').split(/[\s,;]+/).filter(Boolean).map((t) => {
+	  const n = Number(t);
+	  if (!(Number.isInteger(n) && n >= 0 && n <= 255)) throw error('err.badByte', t);
+	  return n;
+	});
+  }
+  function toHex(bytes) {
+	return Array.from(bytes || [], b => b.toString(16).padStart(2, '0')).join(' ');
+  }
+
+  // Checksums over a byte array, returned as bytes in wire order
+  //   sum8: sum mod 256;  xor: XOR of all bytes;  crc8: poly 0x07, init 0x00 (CRC-8/SMBUS)
+  //   crc16modbus: poly 0xA001 (reflected 0x8005), init 0xFFFF, low byte first
+  const CHECKSUMS = {
+	sum8: (bytes) => [bytes.reduce((a, b) => (a + b) & 0xFF, 0)],
+	xor: (bytes) => [bytes.reduce((a, b) => a ^ b, 0)],
+	crc8: (bytes) => {
+	  let crc = 0;
+	  for (const b of bytes) {
+		crc ^= b;
+		for (let i = 0; i < 8; i++) crc = (crc & 0x80) ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+	  }
+	  return [crc];
+	},
+	crc16modbus: (bytes) => {
+	  let crc = 0xFFFF;
+	  for (const b of bytes) {
+		crc ^= b;
+		for (let i = 0; i < 8; i++) crc = (crc & 1) ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+	  }
+	  return [crc & 0xFF, crc >>> 8];
+	}
+  };
+  function checksumOf(algo, bytes) {
+	const fn = CHECKSUMS[String(algo)];
+	if (!fn) throw error('err.unknownChecksum', algo);
+	return fn(bytes);
+  }
+
+  // Writes are chained per session so chunks of concurrent sends never interleave
+  function writeChunks(s, data) {
+	const transport = transportOf(s);
+	const size = transport.chunked ? txChunkSize : Math.max(1, data.length);
+	const run = s.writeChain.then(async () => {
+	  for (let i = 0; i < data.length; i += size) {
+		if (i > 0 && txPaceMs > 0) await sleep(txPaceMs);
+		if (!transport.ready(s)) throw error('err.notConnected');
+		await transport.write(s, data.slice(i, i + size));
+	  }
+	});
+	s.writeChain = run.catch(() => {});
+	return run;
+  }
+
+  function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+  async function readState(s) { await sendAction(s, 'READ'); }
+
+  // Page lifecycle
+  if (typeof document !== 'undefined') {
+	document.addEventListener('visibilitychange', () => {
+	  for (const s of known.values()) { if (document.hidden) stopPolling(s); else startPolling(s); }
+	});
+  }
+  if (typeof window !== 'undefined') {
+	window.addEventListener('beforeunload', () => {
+	  // With safeStop the OFF writes are started and the page teardown closes the links,
+	  // since disconnecting here would cut the writes off
+	  if (safeStop) allOff().catch(() => {});
+	  if (tabChannel) tabPost({ type: 'bye' });
+	  for (const s of known.values()) {
+		s.wantReconnect = false;
+		stopReconnectTimer(s);
+		stopPolling(s);
+		if (!safeStop) transportOf(s).close(s);
+	  }
+	  persistKnown();
+	});
+  }
+
+  // Persistence
+  function storageGet(key) {
+	try { return JSON.parse(localStorage.getItem(key) || 'null'); } catch (e) { return null; }
+  }
+  function storageSet(key, value) {
+	try { localStorage.setItem(key, JSON.stringify(value)); } catch (e) {} // sandboxed / storage disabled
+  }
+  function deviceRecord(s) {
+	return {
+	  id: s.id, name: s.name, alias: s.alias,
+	  profile: s.profile ? s.profile.id : s.profileId,
+	  channels: s.channelCount, state: stateMaskOf(s),
+	  safety: { maxOnMs: s.maxOnMs, minIntervalMs: s.minIntervalMs },
+	  commands: s.commands, replyRules: s.replyRules, baudRate: s.baudRate
+	};
+  }
+  function persistKnown() {
+	clearTimeout(persistTimer);
+	persistTimer = null;
+	const real = Array.from(known.values()).filter(s => !s.device.simulated);
+	storageSet(STORAGE_KEY, real.map(deviceRecord).concat(Array.from(stored.values())));
+  }
+  function persistSoon() { if (!persistTimer) persistTimer = setTimeout(persistKnown, 500); }
+  function setReconnectPolicy({ maxAttempts, minMs, maxMs, jitter }) {
+	reconnectPolicy.maxAttempts = Math.max(0, Math.floor(Number(maxAttempts) || 0));
+	reconnectPolicy.minMs = Math.max(100, Math.floor(Number(minMs) || 1000));
+	reconnectPolicy.maxMs = Math.max(reconnectPolicy.minMs, Math.floor(Number(maxMs) || 15000));
+	reconnectPolicy.jitter = Math.min(1, Math.max(0, Number(jitter) || 0));
+  }
+  function persistSettings() {
+	storageSet(SETTINGS_KEY, {
+	  autoConnect, reconnect: reconnectPolicy, safeStop, interlocks, scanFilters, tabSharing: !!tabChannel,
+	  serialBaudRate
+	});
+  }
+  function persistGroups() { storageSet(GROUPS_KEY, Object.fromEntries(groups)); }
+
+  // Restores name, alias, profile and the last known state (without raising edge events)
+  function applyRecord(s, rec) {
+	s.name = s.name || String(rec.name || '');
+	s.alias = String(rec.alias || '');
+	if (rec.profile === 'auto' || profiles.has(rec.profile)) s.profileId = rec.profile;
+	setChannelCount(s, Math.floor(Number(rec.channels) || 1));
+	for (let i = 0; i < s.channelCount; i++) s.channelStates[i] = (Number(rec.state) >> i) & 1;
+	s.lastStateNum = s.prevStateNum = s.channelStates[0];
+	if (rec.commands && typeof rec.commands === 'object') s.commands = Object.assign({}, rec.commands);
+	if (Array.isArray(rec.replyRules)) s.replyRules = rec.replyRules.filter(r => r && r.kind);
+	s.baudRate = Math.max(0, Math.floor(Number(rec.baudRate) || 0));
+	if (rec.safety) {
+	  s.maxOnMs = Math.max(0, Number(rec.safety.maxOnMs) || 0);
+	  s.minIntervalMs = Math.max(0, Number(rec.safety.minIntervalMs) || 0);
+	}
+  }
+
+  async function restoreDevices() {
+	const settings = storageGet(SETTINGS_KEY) || {};
+	autoConnect = !!settings.autoConnect;
+	if (settings.reconnect) setReconnectPolicy(settings.reconnect);
+	safeStop = !!settings.safeStop;
+	if (settings.serialBaudRate) serialBaudRate = baudArg(settings.serialBaudRate);
+	if (settings.scanFilters) {
+	  for (const k of Object.keys(scanFilters)) {
+		if (Array.isArray(settings.scanFilters[k])) scanFilters[k] = settings.scanFilters[k];
+	  }
+	}
+	if (Array.isArray(settings.interlocks)) interlocks.push(...settings.interlocks.filter(p => p && p.a && p.b));
+	if (settings.tabSharing) setTabSharing(true);
+	for (const [name, members] of Object.entries(storageGet(GROUPS_KEY) || {})) {
+	  if (Array.isArray(members)) groups.set(name, members.map(String));
+	}
+	const records = storageGet(STORAGE_KEY);
+	if (!Array.isArray(records)) return;
+	for (const rec of records) { if (rec && rec.id) stored.set(String(rec.id), rec); }
+	for (const dev of await grantedDevices()) { if (stored.has(dev.id)) rememberDevice(dev); }
+	if (autoConnect) await connectAllKnown();
+  }
+
+  // Devices the browser still grants this origin: Bluetooth devices and serial ports
+  async function grantedDevices() {
+	let devices = [];
+	if (typeof navigator !== 'undefined' && navigator.bluetooth && navigator.bluetooth.getDevices) {
+	  devices = await navigator.bluetooth.getDevices();
+	}
+	const serial = serialApi();
+	if (serial) {
+	  const ports = await serial.getPorts();
+	  devices = devices.concat(ports.map(p => serialDevice(p, ports)));
+	}
+	return devices;
+  }
+  function baudArg(v) {
+	const n = Math.floor(Number(v));
+	if (!(n >= 300 && n <= 4000000)) throw error('err.badBaud', v);
+	return n;
+  }
+
+  function findStored(key) {
+	const k = String(key ?? '').trim();
+	if (!k) return null;
+	if (stored.has(k)) return stored.get(k);
+	for (const rec of stored.values()) { if (rec.alias === k || rec.name === k) return rec; }
+	return null;
+  }
+  function permissionError(rec) {
+	return error('err.noPermission', rec.alias || rec.name || rec.id);
+  }
+
+  // Known device helpers
+  function rememberDevice(dev) {
+	let s = known.get(dev.id);
+	if (s) attachDevice(s, dev);
+	else {
+	  s = createSession(dev);
+	  known.set(dev.id, s);
+	  if (stored.has(dev.id)) { applyRecord(s, stored.get(dev.id)); stored.delete(dev.id); }
+	}
+	persistSoon();
+	return s;
+  }
+  // Look up a remembered device by ID, falling back to its alias or name
+  function findSession(key) {
+	const k = String(key ?? '').trim();
+	if (!k) return null;
+	if (known.has(k)) return known.get(k);
+	for (const s of known.values()) { if (s.alias && s.alias === k) return s; }
+	for (const s of known.values()) { if (s.name && s.name === k) return s; }
+	return null;
+  }
+  function sessionOf(key) {
+	const s = findSession(key);
+	if (s) return s;
+	const rec = findStored(key);
+	if (rec) throw permissionError(rec);
+	throw error('err.unknownId', String(key ?? '').trim());
+  }
+  function listIds()  { return Array.from(known.keys()).concat(Array.from(stored.keys())); }
+  function listNames(){ return Array.from(known.values()).concat(Array.from(stored.values())).map(v => v.name || ''); }
+  function labelOf(v) { return v.alias || v.name || v.id; }
+
+  // Split a CSV of IDs / aliases / group names into unique device keys
+  function expandTargets(csv) {
+	const out = [];
+	for (const key of splitCsv(csv)) {
+	  for (const k of (groups.get(key) || [key])) { if (!out.includes(k)) out.push(k); }
+	}
+	return out;
+  }
+  function splitCsv(csv) { return String(csv ?? '').split(',').map(s => s.trim()).filter(Boolean); }
+
+  function listConnectedIds() { return Array.from(known.values()).filter(s => s.connected).map(s => s.id); }
+
+  async function connectAllKnown() {
+	await Promise.all(Array.from(known.values()).map(async (s) => {
+	  wantConnection(s);
+	  try { await reconnect(s); }
+	  catch (e) { setError(`ID ${s.id}: ${e.message || e}`); scheduleReconnect(s); }
+	}));
+  }
+
+  // Tab sharing
+  function setTabSharing(on) {
+	if (on && !tabChannel) {
+	  if (typeof BroadcastChannel === 'undefined') throw error('err.noBroadcast');
+	  tabChannel = new BroadcastChannel(TAB_CHANNEL);
+	  tabChannel.onmessage = (event) => onTabMessage(event.data);
+	  tabTimer = setInterval(tabHeartbeat, TAB_HEARTBEAT_MS);
+	  tabPost({ type: 'join' });
+	  for (const s of known.values()) shareState(s);
+	} else if (!on && tabChannel) {
+	  tabPost({ type: 'bye' });
+	  clearInterval(tabTimer);
+	  tabTimer = null;
+	  tabChannel.close();
+	  tabChannel = null;
+	  peers.clear();
+	  for (const p of tabPending.values()) { clearTimeout(p.timer); p.reject(error('err.ownerGone')); }
+	  tabPending.clear();
+	  for (const s of known.values()) {
+		if (!s.ownerTab) continue;
+		s.ownerTab = '';
+		setState(s, 'idle');
+	  }
+	}
+  }
+  function tabPost(m) {
+	if (tabChannel) tabChannel.postMessage(Object.assign({ from: tabId }, m));
+  }
+  // Only sessions whose link is in this tab are shared; simulated relays exist per tab
+  function isShared(s) { return !!tabChannel && !s.ownerTab && !s.device.simulated; }
+  function shareState(s) {
+	if (!isShared(s)) return;
+	tabPost({
+	  type: 'state', id: s.id, name: s.name, state: s.state,
+	  profile: s.profile ? s.profile.id : '', channels: s.channelCount, states: s.channelStates.slice()
+	});
+  }
+  function shareNotify(s, value) {
+	if (!isShared(s)) return;
+	tabPost({ type: 'notify', id: s.id, bytes: new Uint8Array(value.buffer, value.byteOffset, value.byteLength).slice() });
+  }
+  function tabRequest(s, body) {
+	const reqId = tabId + ':' + (++tabSeq);
+	return new Promise((resolve, reject) => {
+	  const timer = setTimeout(() => { tabPending.delete(reqId); reject(error('err.tabTimeout')); }, TAB_REQUEST_MS);
+	  tabPending.set(reqId, { to: s.ownerTab, resolve, reject, timer });
+	  tabPost(Object.assign({ reqId, to: s.ownerTab, id: s.id }, body));
+	});
+  }
+  function tabHeartbeat() {
+	tabPost({ type: 'ping' });
+	const limit = Date.now() - TAB_STALE_MS;
+	for (const [tab, seen] of peers) { if (seen < limit) ownerLost(tab); }
+  }
+
+  function onTabMessage(m) {
+	if (!m || !m.from || m.from === tabId) return;
+	if (m.to && m.to !== tabId) { peers.set(m.from, Date.now()); return; }
+	if (m.type === 'bye') { ownerLost(m.from); return; }
+	peers.set(m.from, Date.now());
+	const s = m.id ? known.get(String(m.id)) : null;
+	const local = !!s && isShared(s);
+	switch (m.type) {
+	  case 'join':
+		for (const x of known.values()) shareState(x);
+		break;
+	  case 'state':
+		followOwner(s, m);
+		break;
+	  case 'notify':
+		if (s && s.ownerTab === m.from) profileOf(s).parse(new DataView(m.bytes.buffer), s);
+		break;
+	  case 'action':
+		if (local) answerTab(m, sendAction(s, m.action, m.ch));
+		break;
+	  case 'send':
+		if (local) answerTab(m, sendAscii(s, m.data, m.meta));
+		break;
+	  case 'connect':
+		if (!local) break;
+		wantConnection(s);
+		reconnect(s).catch((e) => { setError(e); scheduleReconnect(s); });
+		break;
+	  case 'disconnect':
+		if (local) disconnectInternal(s).catch(setError);
+		break;
+	  case 'result': {
+		const p = tabPending.get(m.reqId);
+		if (!p) break;
+		tabPending.delete(m.reqId);
+		clearTimeout(p.timer);
+		if (m.ok) p.resolve();
+		else { const e = new Error(m.error); e.code = m.code; p.reject(e); }
+		break;
+	  }
+	}
+  }
+
+  function answerTab(m, promise) {
+	promise.then(
+	  () => tabPost({ type: 'result', to: m.from, reqId: m.reqId, ok: true }),
+	  (e) => tabPost({ type: 'result', to: m.from, reqId: m.reqId, ok: false, error: e.message || String(e), code: e.code || '' }));
+  }
+
+  // State announcement from the tab holding the link. If both tabs ended up connected
+  // (e.g. both restored the device at startup), the tab with the larger ID steps back.
+  function followOwner(s, m) {
+	if (s && s.device.simulated) return;
+	if (s && !s.ownerTab && s.connectPromise) return;
+	if (s && !s.ownerTab && s.connected && (m.state !== 'connected' || m.from > tabId)) return;
+	if (!s) {
+	  s = createSession(proxyDevice(m));
+	  known.set(s.id, s);
+	  if (stored.has(s.id)) { applyRecord(s, stored.get(s.id)); stored.delete(s.id); }
+	  if (!active) active = s;
+	  persistSoon();
+	}
+	if (!s.ownerTab) {
+	  s.ownerTab = m.from; // set first: closing the link below must not look like a drop
+	  s.wantReconnect = false;
+	  stopReconnectTimer(s);
+	  for (let ch = 1; ch <= CHANNEL_MAX; ch++) clearMaxOn(s, ch);
+	  if (transportOf(s).isOpen(s)) transportOf(s).close(s);
+	  stopPolling(s);
+	  resetRx(s);
+	}
+	s.ownerTab = m.from;
+	s.name = String(m.name || s.name);
+	if (profiles.has(m.profile)) s.profile = profiles.get(m.profile);
+	if (Array.isArray(m.states)) m.states.forEach((v, i) => setChannelState(s, i + 1, v ? 1 : 0));
+	setState(s, CONNECTION_STATES.includes(m.state) ? m.state : 'idle');
+  }
+  // Stand-in device for a proxy session this tab has no Bluetooth permission object for
+  function proxyDevice(m) {
+	return {
+	  id: String(m.id), name: String(m.name || ''), proxy: true,
+	  gatt: { connected: false, connect: () => Promise.reject(error('err.notConnected')), disconnect() {} },
+	  addEventListener() {}, removeEventListener() {}
+	};
+  }
+
+  function ownerLost(tab) {
+	peers.delete(tab);
+	for (const [reqId, p] of tabPending) {
+	  if (p.to !== tab) continue;
+	  tabPending.delete(reqId);
+	  clearTimeout(p.timer);
+	  p.reject(error('err.ownerGone'));
+	}
+	const orphans = Array.from(known.values()).filter(s => s.ownerTab === tab);
+	if (!orphans.length) return;
+	for (const s of orphans) setState(s, 'idle');
+	// Every tab runs the same election, so exactly one of them takes over
+	const next = [tabId].concat(Array.from(peers.keys())).sort()[0];
+	if (next === tabId) takeOver(orphans).catch(setError);
+  }
+  async function takeOver(sessions) {
+	const devices = await grantedDevices();
+	for (const s of sessions) {
+	  if (s.device.proxy) {
+		const dev = devices.find(d => d.id === s.id);
+		if (!dev) { setError(permissionError(s)); continue; }
+		attachDevice(s, dev);
+	  }
+	  s.ownerTab = '';
+	  for (let ch = 1; ch <= s.channelCount; ch++) armMaxOn(s, ch);
+	  wantConnection(s);
+	  reconnect(s).catch((e) => { setError(e); scheduleReconnect(s); });
+	}
+  }
+
+  // Safety
+  // on: the channel is (being switched) ON; defaults to the known state
+  function armMaxOn(s, ch, on = s.channelStates[ch - 1] === 1) {
+	clearMaxOn(s, ch);
+	// Proxy sessions leave the timer to the owner tab
+	if (s.maxOnMs <= 0 || s.ownerTab || !on) return;
+	s.onTimers[ch - 1] = setTimeout(() => {
+	  s.onTimers[ch - 1] = null;
+	  sendAction(s, 'OFF', ch).catch(e => setError(`ID ${s.id}: ${e.message || e}`));
+	}, s.maxOnMs);
+  }
+  function clearMaxOn(s, ch) {
+	if (s.onTimers[ch - 1]) { clearTimeout(s.onTimers[ch - 1]); s.onTimers[ch - 1] = null; }
+  }
+  // dev: a session or a stored record that is being forgotten
+  function dropInterlocksOf(dev) {
+	const n = interlocks.length;
+	for (let i = n - 1; i >= 0; i--) {
+	  const { a, b } = interlocks[i];
+	  if (a.key === dev.id || b.key === dev.id) interlocks.splice(i, 1);
+	}
+	if (interlocks.length !== n) persistSettings();
+  }
+  // Channels that must stay OFF while channel ch of s is ON: [session, ch] pairs
+  function interlockPartners(s, ch) {
+	const out = [];
+	const side = (p) => { const x = known.get(p.key); return x ? [x, p.ch] : null; };
+	for (const { a, b } of interlocks) {
+	  const sa = side(a), sb = side(b);
+	  if (sa && sa[0] === s && sa[1] === ch && sb) out.push(sb);
+	  if (sb && sb[0] === s && sb[1] === ch && sa) out.push(sa);
+	}
+	return out;
+  }
+  // Throws when sending `action` to channel ch breaks a rule (OFF always passes).
+  // The minimum interval holds for every ON and TOGGLE, counted from the last one sent: the
+  // cached state lags behind the board, so a TOGGLE that looks like an OFF may switch ON.
+  function checkSafety(s, ch, action) {
+	if (action === 'OFF') return;
+	const last = s.switchedAt[ch - 1] || 0;
+	if (s.minIntervalMs > 0 && Date.now() - last < s.minIntervalMs) {
+	  throw error('err.tooFrequent', labelOf(s), ch, s.minIntervalMs);
+	}
+	if (action === 'TOGGLE' && s.channelStates[ch - 1] === 1) return;
+	for (const [x, xch] of interlockPartners(s, ch)) {
+	  if (x.channelStates[xch - 1] === 1) throw error('err.interlock', labelOf(s), ch, labelOf(x), xch);
+	}
+  }
+  async function allOff({ keepOffSchedules = false } = {}) {
+	for (const t of Array.from(schedules.values())) {
+	  if (!(keepOffSchedules && t.action === 'OFF')) cancelSchedule(t.id);
+	}
+	const sends = [];
+	for (const s of known.values()) {
+	  s.sendQueue.length = 0; // pending ONs must not replay after the stop
+	  for (let ch = 1; ch <= s.channelCount; ch++) sends.push(sendAction(s, 'OFF', ch));
+	}
+	const results = await Promise.allSettled(sends);
+	const failed = results.find(r => r.status === 'rejected');
+	if (failed) throw failed.reason;
+  }
+
+  async function sendAction(s, action, ch = 1) {
+	if (!s) throw error('err.notConnected');
+	if (action !== 'ON' && action !== 'OFF' && action !== 'TOGGLE') action = 'READ';
+	// The owner tab encodes the command and applies its own safety rules and log
+	if (s.ownerTab) { await tabRequest(s, { type: 'action', action, ch }); return; }
+	const profile = profileOf(s);
+	const before = s.channelStates[ch - 1] || 0;
+	const queued = !s.connected;
+	try {
+	  if (action !== 'READ') {
+		checkSafety(s, ch, action);
+		if (action !== 'OFF') s.switchedAt[ch - 1] = Date.now();
+	  }
+	  const cmd = encodeCommand(s, action, ch);
+	  if (cmd == null) return;
+	  await sendAscii(s, cmd, { action, ch });
+	} catch (e) {
+	  logEvent(s, 'error', { ch, value: action, detail: e.message || String(e) });
+	  throw e;
+	}
+	// Reads are left out: polling would flood the log
+	if (action !== 'READ') logEvent(s, 'command', { ch, value: action, detail: queued ? 'queued' : '' });
+	// The max ON timer starts with the command: boards that do not echo the state never report it
+	if (action === 'ON' || (action === 'TOGGLE' && before === 0)) armMaxOn(s, ch, true);
+	else if (action === 'OFF') clearMaxOn(s, ch);
+	if (profile.optimistic && action !== 'READ') {
+	  setChannelState(s, ch, action === 'ON' ? 1 : action === 'OFF' ? 0 : 1 - before);
+	}
+  }
+
+  // Waiters resolve when match(s, isState) holds after a notification has been parsed
+  // (isState: the message was a state reply)
+  function addWaiter(s, match, timeoutMs) {
+	const w = { match };
+	w.promise = new Promise((resolve, reject) => {
+	  w.resolve = resolve;
+	  w.reject = reject;
+	  w.timer = setTimeout(() => { dropWaiter(s, w); reject(ackTimeoutError()); }, timeoutMs);
+	});
+	s.waiters.push(w);
+	return w;
+  }
+  function dropWaiter(s, w) {
+	clearTimeout(w.timer);
+	const i = s.waiters.indexOf(w);
+	if (i >= 0) s.waiters.splice(i, 1);
+  }
+  function settleWaiters(s, isState) {
+	for (const w of s.waiters.slice()) {
+	  if (w.match(s, isState)) { dropWaiter(s, w); w.resolve(); }
+	}
+  }
+  function failWaiters(s, err) {
+	for (const w of s.waiters.slice()) { dropWaiter(s, w); w.reject(err); }
+  }
+  function ackTimeoutError() {
+	return error('err.ackTimeout');
+  }
+
+  // Send and wait until the reply shows the expected state (READ: any reply).
+  // Not queued while disconnected; boards without replies (optimistic profiles) are not waited for.
+  async function sendConfirmed(s, action, ch = 1, timeoutMs = ackTimeoutMs) {
+	if (!s || !s.connected) throw error('err.notConnected');
+	if (profileOf(s).optimistic) { await sendAction(s, action, ch); return; }
+	// A retried TOGGLE would flip the relay back when the first reply is only late
+	if (action === 'TOGGLE') action = (s.channelStates[ch - 1] || 0) ? 'OFF' : 'ON';
+	const expected = action === 'ON' ? 1 : action === 'OFF' ? 0 : null;
+	// READ waits for a state reply; button lines or telemetry in between do not count
+	const match = (expected === null) ? (x, isState) => isState : (x) => x.channelStates[ch - 1] === expected;
+	let lastErr = null;
+	for (let attempt = 0; attempt <= ackRetries; attempt++) {
+	  const w = addWaiter(s, match, timeoutMs);
+	  try {
+		await sendAction(s, action, ch);
+		await w.promise;
+		return;
+	  } catch (e) {
+		dropWaiter(s, w);
+		if (e.code !== 'err.ackTimeout') throw e;
+		lastErr = e;
+	  }
+	}
+	throw lastErr;
+  }
+
+  function addSchedule(s, entry) {
+	const id = 'T' + (++scheduleSeq);
+	schedules.set(id, Object.assign({ id, deviceId: s.id, ch: 1, periodMs: 0, daily: null }, entry));
+	lastScheduleId = id;
+	if (!scheduleTimer) scheduleTimer = setInterval(runSchedules, SCHEDULE_TICK_MS);
+	return id;
+  }
+  function cancelSchedule(id) {
+	schedules.delete(id);
+	if (!schedules.size) stopScheduler();
+  }
+  function cancelSchedulesOf(deviceId) {
+	for (const t of Array.from(schedules.values())) { if (t.deviceId === deviceId) cancelSchedule(t.id); }
+  }
+  function stopScheduler() { if (scheduleTimer) { clearInterval(scheduleTimer); scheduleTimer = null; } }
+
+  function runSchedules() {
+	const now = Date.now();
+	for (const t of Array.from(schedules.values())) {
+	  if (t.dueAt > now) continue;
+	  // Repeating actions fire once after a long stall instead of catching up
+	  if (t.periodMs > 0) { do t.dueAt += t.periodMs; while (t.dueAt <= now); }
+	  else if (t.daily) t.dueAt = nextDailyTime(t.daily, now);
+	  else schedules.delete(t.id);
+	  const s = known.get(t.deviceId);
+	  if (!s) { setError(`${t.id}: ${msg('err.unknownId', t.deviceId)}`); schedules.delete(t.id); continue; }
+	  sendAction(s, t.action, t.ch).catch(e => setError(`${t.id}: ${e.message || e}`));
+	}
+	if (!schedules.size) stopScheduler();
+  }
+
+  // 'HH:MM' or 'HH:MM:SS' (local time)
+  function parseClock(v) {
+	const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(v ?? '').trim());
+	if (!m || Number(m[1]) > 23 || Number(m[2]) > 59 || Number(m[3] || 0) > 59) {
+	  throw error('err.badTime', v);
+	}
+	return { h: Number(m[1]), m: Number(m[2]), sec: Number(m[3] || 0) };
+  }
+  function nextDailyTime(clock, now) {
+	const d = new Date(now);
+	d.setHours(clock.h, clock.m, clock.sec, 0);
+	if (d.getTime() <= now) d.setDate(d.getDate() + 1);
+	return d.getTime();
+  }
+
+  function scheduleSummary(t) {
+	return {
+	  id: t.id, device: t.deviceId, channel: t.ch, kind: t.kind, action: t.action,
+	  at: new Date(t.dueAt).toISOString(), everyMs: t.periodMs || undefined
+	};
+  }
+
+  function channelStateOf(s, ch) {
+	const n = Math.floor(Number(ch));
+	return String((s && s.channelStates[n - 1]) || 0);
+  }
+
+  async function connectSendById(id, action) {
+	const s = sessionOf(id);
+	if (!s.connected) await reconnect(s);
+	await sendAction(s, action);
+  }
+
+  // Sends to every key of the CSV (IDs, aliases, groups) with a worker pool. Never changes
+  // the active device; failures are collected per device instead of stopping the run.
+  // confirm: wait for the reply (sendConfirmed), so the reported state is the device's own.
+  async function runBulk(csv, action, { confirm = false } = {}) {
+	const keys = expandTargets(csv);
+	const results = keys.map(key => ({ id: key, ok: false, state: '', error: '' }));
+	let next = 0;
+	async function worker() {
+	  while (next < keys.length) {
+		const r = results[next++];
+		try {
+		  const s = sessionOf(r.id);
+		  r.id = s.id;
+		  if (confirm) {
+			if (!s.connected) await reconnect(s);
+			await sendConfirmed(s, action);
+		  } else {
+			await connectSendById(s.id, action);
+		  }
+		  r.ok = true;
+		  // Without confirmation no reply has arrived yet, so the cached state is stale
+		  if (confirm) r.state = String(s.lastStateNum);
+		} catch (e) {
+		  r.error = (e && e.message) ? e.message : String(e);
+		}
+	  }
+	}
+	const previous = active;
+	try {
+	  await Promise.all(Array.from({ length: Math.min(bulkConcurrency, keys.length) }, worker));
+	} finally {
+	  if (!previous || known.has(previous.id)) active = previous;
+	}
+	bulkReport = results;
+	const failed = results.filter(r => !r.ok).length;
+	if (failed) setError(error('err.bulkFailed', failed, results.length));
+	return results;
+  }
+  function bulkReportText(format) {
+	if (format !== 'csv') return JSON.stringify(bulkReport);
+	return ['id,ok,state,error'].concat(bulkReport.map(r => [r.id, r.ok, r.state, r.error].map(csvCell).join(','))).join('\n');
+  }
+
+  // Simulation backend: an in-memory stand-in for navigator.bluetooth with virtual NUS relays.
+  // Relays answer '1'/'0'/'t'/'s' and 'chN=on|off|t' after latencyMs (multi-channel relays reply
+  // with a bit string), and a connected relay drops the link with dropPercent % chance every second.
+  // It only needs timers and TextEncoder, so the blocks can be driven from Node as well.
+  function createSimBluetooth() {
+	const sim = { relays: [], latencyMs: 30, dropPercent: 0, picked: new Set() };
+
+	function eventSource() {
+	  const map = new Map();
+	  return {
+		addEventListener(type, fn) { if (!map.has(type)) map.set(type, new Set()); map.get(type).add(fn); },
+		removeEventListener(type, fn) { if (map.has(type)) map.get(type).delete(fn); },
+		dispatch(type, target, fields) {
+		  for (const fn of Array.from(map.get(type) || [])) fn(Object.assign({ type, target }, fields));
+		}
+	  };
+	}
+	function notFound(what) {
+	  const e = error('err.simNotFound', what);
+	  e.name = 'NotFoundError';
+	  return e;
+	}
+
+	function createRelay(n) {
+	  const relay = { states: [0], battery: 100 };
+	  const dev = Object.assign(eventSource(), { id: 'sim-relay-' + n, name: 'BT Relay SIM ' + n, simulated: true });
+	  const tx = Object.assign(eventSource(), {
+		value: null,
+		startNotifications: async () => tx,
+		stopNotifications: async () => tx
+	  });
+	  const rx = {
+		writeValue: async (data) => {
+		  if (!dev.gatt.connected) throw new Error('GATT Server is disconnected.');
+		  handle(new TextDecoder().decode(data).trim().toLowerCase());
+		}
+	  };
+	  function reply(text) {
+		setTimeout(() => {
+		  if (!dev.gatt.connected) return;
+		  const bytes = new TextEncoder().encode(text + '\n');
+		  tx.value = new DataView(bytes.buffer);
+		  tx.dispatch('characteristicvaluechanged', tx);
+		}, sim.latencyMs);
+	  }
+	  function handle(cmd) {
+		const st = relay.states;
+		const m = /^ch(\d+)=(on|off|t)$/.exec(cmd);
+		if (m) {
+		  const i = Number(m[1]) - 1;
+		  if (i >= 0 && i < st.length) st[i] = (m[2] === 'on') ? 1 : (m[2] === 'off') ? 0 : 1 - st[i];
+		} else if (cmd === '1') st[0] = 1;
+		else if (cmd === '0') st[0] = 0;
+		else if (cmd === 't') st[0] = 1 - st[0];
+		else if (cmd !== 's') { reply('ERR'); return; }
+		reply(st.length === 1 ? String(st[0]) : st.join(''));
+	  }
+	  const service = {
+		getCharacteristic: async (uuid) => {
+		  if (uuid === NUS_RX_CHAR) return rx;
+		  if (uuid === NUS_TX_CHAR) return tx;
+		  throw notFound('Characteristic ' + uuid);
+		}
+	  };
+	  const battery = Object.assign(eventSource(), {
+		readValue: async () => new DataView(Uint8Array.of(relay.battery).buffer),
+		startNotifications: async () => battery
+	  });
+	  const info = { model: 'SIM-' + n, firmware: '1.0.0', manufacturer: 'Simulated' };
+	  const services = {
+		[NUS_SERVICE]: service,
+		[BATTERY_SERVICE]: { getCharacteristic: async (uuid) => {
+		  if (uuid === BATTERY_LEVEL) return battery;
+		  throw notFound('Characteristic ' + uuid);
+		} },
+		[DIS_SERVICE]: { getCharacteristic: async (uuid) => {
+		  const field = Object.keys(DIS_FIELDS).find(k => DIS_FIELDS[k] === uuid);
+		  if (!field) throw notFound('Characteristic ' + uuid);
+		  return { readValue: async () => new DataView(new TextEncoder().encode(info[field]).buffer) };
+		} }
+	  };
+	  const server = {
+		getPrimaryService: async (uuid) => {
+		  if (services[uuid]) return services[uuid];
+		  throw notFound('Service ' + uuid);
+		}
+	  };
+	  let dropTimer = null;
+	  dev.gatt = {
+		connected: false,
+		connect: async () => {
+		  await sleep(sim.latencyMs);
+		  if (!dev.gatt.connected) {
+			dev.gatt.connected = true;
+			dropTimer = setInterval(() => {
+			  dev.dispatch('advertisementreceived', dev, { rssi: -50 - Math.floor(Math.random() * 30) });
+			  if (Math.random() * 100 < sim.dropPercent) dev.gatt.disconnect();
+			}, 1000);
+		  }
+		  return server;
+		},
+		disconnect: () => {
+		  clearInterval(dropTimer);
+		  if (!dev.gatt.connected) return;
+		  dev.gatt.connected = false;
+		  dev.dispatch('gattserverdisconnected', dev);
+		}
+	  };
+	  relay.device = dev;
+	  return relay;
+	}
+
+	// The "chooser" hands out matching relays that were not picked yet, then starts over.
+	// Nothing matching behaves like a chooser the user had to close.
+	function matchesScan(dev, options) {
+	  if (options.acceptAllDevices) return true;
+	  return (options.filters || []).some(f =>
+		(f.namePrefix !== undefined && dev.name.startsWith(f.namePrefix)) ||
+		(f.name !== undefined && dev.name === f.name) ||
+		(f.services !== undefined && f.services.every(sv => sv === NUS_SERVICE)));
+	}
+	sim.requestDevice = async (options = { acceptAllDevices: true }) => {
+	  if (!sim.relays.length) throw error('err.simNoRelay');
+	  const matching = sim.relays.filter(r => matchesScan(r.device, options));
+	  const relay = matching.find(r => !sim.picked.has(r.device.id)) || matching[0];
+	  if (!relay) {
+		const e = new Error('User cancelled the requestDevice() chooser.');
+		e.name = 'NotFoundError';
+		throw e;
+	  }
+	  sim.picked.add(relay.device.id);
+	  return relay.device;
+	};
+	sim.getDevices = async () => sim.relays.filter(r => sim.picked.has(r.device.id)).map(r => r.device);
+	sim.configure = (count, channels) => {
+	  while (sim.relays.length > count) {
+		const r = sim.relays.pop();
+		r.device.gatt.disconnect();
+		sim.picked.delete(r.device.id);
+	  }
+	  while (sim.relays.length < count) sim.relays.push(createRelay(sim.relays.length + 1));
+	  for (const r of sim.relays) {
+		while (r.states.length < channels) r.states.push(0);
+		r.states.length = channels;
+	  }
+	};
+	sim.configure(3, 1);
+	return sim;
+  }
+
+  restoreDevices().catch(setError);
+
+  class BtRelayExtension {
+	// Xcratch passes the runtime; TurboWarp unsandboxed extensions reach it through Scratch.vm
+	constructor(rt) {
+	  attachRuntime(rt || (Scratch.vm && Scratch.vm.runtime) || null);
+	}
+
+	getInfo() {
+	  return {
+		id: EXTENSION_ID,
+		name: 'Bluetooth Relay (NUS)',
+		color1: '#0b82ff',
+		color2: '#0b6ed6',
+		blocks: [
+		  ...(envWarning ? [{ blockType: Scratch.BlockType.LABEL, text: msg(envWarning) }] : []),
+
+		  // HAT events
+		  { opcode: 'whenOn', blockType: Scratch.BlockType.HAT, isEdgeActivated: false, text: msg('whenOn') },
+		  { opcode: 'whenOff', blockType: Scratch.BlockType.HAT, isEdgeActivated: false, text: msg('whenOff') },
+		  { opcode: 'whenConnected', blockType: Scratch.BlockType.HAT, isEdgeActivated: false, text: msg('whenConnected') },
+		  { opcode: 'whenDisconnected', blockType: Scratch.BlockType.HAT, isEdgeActivated: false, text: msg('whenDisconnected') },
+		  { opcode: 'whenDeviceState', blockType: Scratch.BlockType.HAT, isEdgeActivated: false, text: msg('whenDeviceState'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  state: { type: Scratch.ArgumentType.STRING, menu: 'channelState', defaultValue: 'ON' }
+			}
+		  },
+		  { opcode: 'whenDeviceConnection', blockType: Scratch.BlockType.HAT, isEdgeActivated: false, text: msg('whenDeviceConnection'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  event: { type: Scratch.ArgumentType.STRING, menu: 'connectionEvent', defaultValue: 'connected' }
+			}
+		  },
+		  { opcode: 'whenConnectionState', blockType: Scratch.BlockType.HAT, isEdgeActivated: false, text: msg('whenConnectionState'), arguments: {
+			  state: { type: Scratch.ArgumentType.STRING, menu: 'connectionState', defaultValue: 'connected' }
+			}
+		  },
+		  { opcode: 'eventDevice', blockType: Scratch.BlockType.REPORTER, text: msg('eventDevice') },
+		  { opcode: 'eventChannel', blockType: Scratch.BlockType.REPORTER, text: msg('eventChannel') },
+
+		  // Connection
+		  { opcode: 'btnConnect', blockType: Scratch.BlockType.BUTTON, text: msg('btnConnect'), func: 'btnConnect' },
+		  { opcode: 'connectSerial', blockType: Scratch.BlockType.COMMAND, text: msg('connectSerial') },
+		  { opcode: 'connectById', blockType: Scratch.BlockType.COMMAND, text: msg('connectById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'connectAll', blockType: Scratch.BlockType.COMMAND, text: msg('connectAll') },
+		  { opcode: 'setScanNamePrefixes', blockType: Scratch.BlockType.COMMAND, text: msg('setScanNamePrefixes'), arguments: {
+			  csv: { type: Scratch.ArgumentType.STRING, defaultValue: 'BT Relay,BT' }
+			}
+		  },
+		  { opcode: 'setScanNames', blockType: Scratch.BlockType.COMMAND, text: msg('setScanNames'), arguments: {
+			  csv: { type: Scratch.ArgumentType.STRING, defaultValue: '' }
+			}
+		  },
+		  { opcode: 'setScanServices', blockType: Scratch.BlockType.COMMAND, text: msg('setScanServices'), arguments: {
+			  csv: { type: Scratch.ArgumentType.STRING, defaultValue: NUS_SERVICE }
+			}
+		  },
+		  { opcode: 'addScanManufacturer', blockType: Scratch.BlockType.COMMAND, text: msg('addScanManufacturer'), arguments: {
+			  company: { type: Scratch.ArgumentType.STRING, defaultValue: '0x0059' },
+			  prefix: { type: Scratch.ArgumentType.STRING, defaultValue: '' }
+			}
+		  },
+		  { opcode: 'clearScanFilters', blockType: Scratch.BlockType.COMMAND, text: msg('clearScanFilters') },
+		  { opcode: 'getScanFilters', blockType: Scratch.BlockType.REPORTER, text: msg('getScanFilters') },
+		  { opcode: 'selectDevice', blockType: Scratch.BlockType.COMMAND, text: msg('selectDevice'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'setAlias', blockType: Scratch.BlockType.COMMAND, text: msg('setAlias'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  alias: { type: Scratch.ArgumentType.STRING, defaultValue: 'pump' }
+			}
+		  },
+		  { opcode: 'setGroup', blockType: Scratch.BlockType.COMMAND, text: msg('setGroup'), arguments: {
+			  group: { type: Scratch.ArgumentType.STRING, defaultValue: 'greenhouse' },
+			  members: { type: Scratch.ArgumentType.STRING, defaultValue: 'pump,fan' }
+			}
+		  },
+		  { opcode: 'deleteGroup', blockType: Scratch.BlockType.COMMAND, text: msg('deleteGroup'), arguments: {
+			  group: { type: Scratch.ArgumentType.STRING, menu: 'groups', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'disconnect', blockType: Scratch.BlockType.COMMAND, text: msg('disconnect') },
+		  { opcode: 'disconnectById', blockType: Scratch.BlockType.COMMAND, text: msg('disconnectById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'disconnectAll', blockType: Scratch.BlockType.COMMAND, text: msg('disconnectAll') },
+		  { opcode: 'forgetCurrent', blockType: Scratch.BlockType.COMMAND, text: msg('forgetCurrent') },
+		  { opcode: 'forgetById', blockType: Scratch.BlockType.COMMAND, text: msg('forgetById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'forgetAll', blockType: Scratch.BlockType.COMMAND, text: msg('forgetAll') },
+
+		  { opcode: 'setReconnect', blockType: Scratch.BlockType.COMMAND, text: msg('setReconnect'), arguments: {
+			  state: { type: Scratch.ArgumentType.STRING, menu: 'onOff', defaultValue: 'on' }
+			}
+		  },
+		  { opcode: 'setReconnectPolicy', blockType: Scratch.BlockType.COMMAND, text: msg('setReconnectPolicy'), arguments: {
+			  n: { type: Scratch.ArgumentType.NUMBER, defaultValue: 0 },
+			  min: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1000 },
+			  max: { type: Scratch.ArgumentType.NUMBER, defaultValue: 15000 },
+			  jitter: { type: Scratch.ArgumentType.NUMBER, defaultValue: 20 }
+			}
+		  },
+		  { opcode: 'setAutoConnect', blockType: Scratch.BlockType.COMMAND, text: msg('setAutoConnect'), arguments: {
+			  state: { type: Scratch.ArgumentType.STRING, menu: 'onOff', defaultValue: 'on' }
+			}
+		  },
+		  { opcode: 'setPoll', blockType: Scratch.BlockType.COMMAND, text: msg('setPoll'), arguments: {
+			  ms: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1000 }
+			}
+		  },
+		  { opcode: 'setFraming', blockType: Scratch.BlockType.COMMAND, text: msg('setFraming'), arguments: {
+			  mode: { type: Scratch.ArgumentType.STRING, menu: 'framing', defaultValue: 'lf' },
+			  len: { type: Scratch.ArgumentType.NUMBER, defaultValue: 4 }
+			}
+		  },
+		  { opcode: 'setTxChunk', blockType: Scratch.BlockType.COMMAND, text: msg('setTxChunk'), arguments: {
+			  n: { type: Scratch.ArgumentType.NUMBER, defaultValue: 20 },
+			  ms: { type: Scratch.ArgumentType.NUMBER, defaultValue: 10 }
+			}
+		  },
+		  { opcode: 'setProfile', blockType: Scratch.BlockType.COMMAND, text: msg('setProfile'), arguments: {
+			  profile: { type: Scratch.ArgumentType.STRING, menu: 'profile', defaultValue: 'auto' }
+			}
+		  },
+		  { opcode: 'setProfileById', blockType: Scratch.BlockType.COMMAND, text: msg('setProfileById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  profile: { type: Scratch.ArgumentType.STRING, menu: 'profile', defaultValue: 'auto' }
+			}
+		  },
+		  { opcode: 'setSerialBaud', blockType: Scratch.BlockType.COMMAND, text: msg('setSerialBaud'), arguments: {
+			  baud: { type: Scratch.ArgumentType.STRING, menu: 'baudRate', defaultValue: '9600' }
+			}
+		  },
+		  { opcode: 'setSerialBaudById', blockType: Scratch.BlockType.COMMAND, text: msg('setSerialBaudById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  baud: { type: Scratch.ArgumentType.STRING, menu: 'baudRate', defaultValue: '9600' }
+			}
+		  },
+		  { opcode: 'getTransportById', blockType: Scratch.BlockType.REPORTER, text: msg('getTransportById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+
+		  // Relay ops
+		  { opcode: 'relayOn', blockType: Scratch.BlockType.COMMAND, text: msg('relayOn') },
+		  { opcode: 'relayOff', blockType: Scratch.BlockType.COMMAND, text: msg('relayOff') },
+		  { opcode: 'relayToggle', blockType: Scratch.BlockType.COMMAND, text: msg('relayToggle') },
+		  { opcode: 'readStateCmd', blockType: Scratch.BlockType.COMMAND, text: msg('readStateCmd') },
+		  { opcode: 'sendText', blockType: Scratch.BlockType.COMMAND, text: msg('sendText'), arguments: {
+			  txt: { type: Scratch.ArgumentType.STRING, defaultValue: 's' }
+			}
+		  },
+		  { opcode: 'sendHex', blockType: Scratch.BlockType.COMMAND, text: msg('sendHex'), arguments: {
+			  hex: { type: Scratch.ArgumentType.STRING, defaultValue: 'A0 01 01 A2' }
+			}
+		  },
+		  { opcode: 'sendBytes', blockType: Scratch.BlockType.COMMAND, text: msg('sendBytes'), arguments: {
+			  bytes: { type: Scratch.ArgumentType.STRING, defaultValue: '160,1,1,162' }
+			}
+		  },
+		  { opcode: 'clearQueue', blockType: Scratch.BlockType.COMMAND, text: msg('clearQueue') },
+
+		  // Send queue (while reconnecting)
+		  { opcode: 'whenQueueDropped', blockType: Scratch.BlockType.HAT, isEdgeActivated: false, text: msg('whenQueueDropped'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'setQueuePolicy', blockType: Scratch.BlockType.COMMAND, text: msg('setQueuePolicy'), arguments: {
+			  policy: { type: Scratch.ArgumentType.STRING, menu: 'queuePolicy', defaultValue: 'latest' },
+			  n: { type: Scratch.ArgumentType.NUMBER, defaultValue: 20 },
+			  ms: { type: Scratch.ArgumentType.NUMBER, defaultValue: 0 }
+			}
+		  },
+		  { opcode: 'queueLength', blockType: Scratch.BlockType.REPORTER, text: msg('queueLength') },
+		  { opcode: 'queueLengthById', blockType: Scratch.BlockType.REPORTER, text: msg('queueLengthById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'queueJson', blockType: Scratch.BlockType.REPORTER, text: msg('queueJson') },
+		  { opcode: 'queueJsonById', blockType: Scratch.BlockType.REPORTER, text: msg('queueJsonById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'queueDroppedCount', blockType: Scratch.BlockType.REPORTER, text: msg('queueDroppedCount') },
+		  { opcode: 'eventDroppedCount', blockType: Scratch.BlockType.REPORTER, text: msg('eventDroppedCount') },
+
+		  // Relay ops (per device)
+		  { opcode: 'relayOnById', blockType: Scratch.BlockType.COMMAND, text: msg('relayOnById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'relayOffById', blockType: Scratch.BlockType.COMMAND, text: msg('relayOffById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'relayToggleById', blockType: Scratch.BlockType.COMMAND, text: msg('relayToggleById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'readStateById', blockType: Scratch.BlockType.COMMAND, text: msg('readStateById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'sendTextById', blockType: Scratch.BlockType.COMMAND, text: msg('sendTextById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  txt: { type: Scratch.ArgumentType.STRING, defaultValue: 's' }
+			}
+		  },
+		  { opcode: 'sendHexById', blockType: Scratch.BlockType.COMMAND, text: msg('sendHexById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  hex: { type: Scratch.ArgumentType.STRING, defaultValue: 'A0 01 01 A2' }
+			}
+		  },
+		  { opcode: 'sendBytesById', blockType: Scratch.BlockType.COMMAND, text: msg('sendBytesById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  bytes: { type: Scratch.ArgumentType.STRING, defaultValue: '160,1,1,162' }
+			}
+		  },
+
+		  // Acknowledged ops (wait for the reply)
+		  { opcode: 'setAck', blockType: Scratch.BlockType.COMMAND, text: msg('setAck'), arguments: {
+			  ms: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1000 },
+			  n: { type: Scratch.ArgumentType.NUMBER, defaultValue: 2 }
+			}
+		  },
+		  { opcode: 'relayConfirm', blockType: Scratch.BlockType.COMMAND, text: msg('relayConfirm'), arguments: {
+			  act: { type: Scratch.ArgumentType.STRING, menu: 'channelAction', defaultValue: 'ON' }
+			}
+		  },
+		  { opcode: 'relayConfirmById', blockType: Scratch.BlockType.COMMAND, text: msg('relayConfirmById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  act: { type: Scratch.ArgumentType.STRING, menu: 'channelAction', defaultValue: 'ON' }
+			}
+		  },
+		  { opcode: 'readStateWait', blockType: Scratch.BlockType.REPORTER, text: msg('readStateWait'), arguments: {
+			  ms: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1000 }
+			}
+		  },
+		  { opcode: 'readStateWaitById', blockType: Scratch.BlockType.REPORTER, text: msg('readStateWaitById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  ms: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1000 }
+			}
+		  },
+
+		  // Custom protocol (per device)
+		  { opcode: 'setCommand', blockType: Scratch.BlockType.COMMAND, text: msg('setCommand'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  act: { type: Scratch.ArgumentType.STRING, menu: 'bulkAction', defaultValue: 'ON' },
+			  text: { type: Scratch.ArgumentType.STRING, defaultValue: 'RELAY ON\\n' }
+			}
+		  },
+		  { opcode: 'addReplyLiteral', blockType: Scratch.BlockType.COMMAND, text: msg('addReplyLiteral'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  text: { type: Scratch.ArgumentType.STRING, defaultValue: 'STATE:1' },
+			  ch: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 },
+			  state: { type: Scratch.ArgumentType.STRING, menu: 'channelState', defaultValue: 'ON' }
+			}
+		  },
+		  { opcode: 'addReplyRegex', blockType: Scratch.BlockType.COMMAND, text: msg('addReplyRegex'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  pattern: { type: Scratch.ArgumentType.STRING, defaultValue: '^STATE:(\\d)' },
+			  ch: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 }
+			}
+		  },
+		  { opcode: 'addReplyJson', blockType: Scratch.BlockType.COMMAND, text: msg('addReplyJson'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  path: { type: Scratch.ArgumentType.STRING, defaultValue: 'relay' },
+			  ch: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 }
+			}
+		  },
+		  { opcode: 'clearProtocol', blockType: Scratch.BlockType.COMMAND, text: msg('clearProtocol'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'getProtocolJson', blockType: Scratch.BlockType.REPORTER, text: msg('getProtocolJson'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+
+		  // Channels (multi-channel boards; the blocks above act on channel 1)
+		  { opcode: 'whenChannel', blockType: Scratch.BlockType.HAT, isEdgeActivated: false, text: msg('whenChannel'), arguments: {
+			  ch: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 },
+			  state: { type: Scratch.ArgumentType.STRING, menu: 'channelState', defaultValue: 'ON' }
+			}
+		  },
+		  { opcode: 'setChannelCount', blockType: Scratch.BlockType.COMMAND, text: msg('setChannelCount'), arguments: {
+			  n: { type: Scratch.ArgumentType.NUMBER, defaultValue: 4 }
+			}
+		  },
+		  { opcode: 'channelCmd', blockType: Scratch.BlockType.COMMAND, text: msg('channelCmd'), arguments: {
+			  ch: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 },
+			  act: { type: Scratch.ArgumentType.STRING, menu: 'channelAction', defaultValue: 'ON' }
+			}
+		  },
+		  { opcode: 'channelCmdById', blockType: Scratch.BlockType.COMMAND, text: msg('channelCmdById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  ch: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 },
+			  act: { type: Scratch.ArgumentType.STRING, menu: 'channelAction', defaultValue: 'ON' }
+			}
+		  },
+		  { opcode: 'channelStateNum', blockType: Scratch.BlockType.REPORTER, text: msg('channelStateNum'), arguments: {
+			  ch: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 }
+			}
+		  },
+		  { opcode: 'channelStateNumById', blockType: Scratch.BlockType.REPORTER, text: msg('channelStateNumById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  ch: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 }
+			}
+		  },
+		  { opcode: 'stateMask', blockType: Scratch.BlockType.REPORTER, text: msg('stateMask') },
+		  { opcode: 'stateMaskById', blockType: Scratch.BlockType.REPORTER, text: msg('stateMaskById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+
+		  // Timed actions (on the current device)
+		  { opcode: 'pulse', blockType: Scratch.BlockType.COMMAND, text: msg('pulse'), arguments: {
+			  ms: { type: Scratch.ArgumentType.NUMBER, defaultValue: 3000 }
+			}
+		  },
+		  { opcode: 'delayAction', blockType: Scratch.BlockType.COMMAND, text: msg('delayAction'), arguments: {
+			  ms: { type: Scratch.ArgumentType.NUMBER, defaultValue: 5000 },
+			  act: { type: Scratch.ArgumentType.STRING, menu: 'channelAction', defaultValue: 'OFF' }
+			}
+		  },
+		  { opcode: 'everyAction', blockType: Scratch.BlockType.COMMAND, text: msg('everyAction'), arguments: {
+			  ms: { type: Scratch.ArgumentType.NUMBER, defaultValue: 60000 },
+			  act: { type: Scratch.ArgumentType.STRING, menu: 'channelAction', defaultValue: 'TOGGLE' }
+			}
+		  },
+		  { opcode: 'dailyAction', blockType: Scratch.BlockType.COMMAND, text: msg('dailyAction'), arguments: {
+			  time: { type: Scratch.ArgumentType.STRING, defaultValue: '07:00' },
+			  act: { type: Scratch.ArgumentType.STRING, menu: 'channelAction', defaultValue: 'ON' }
+			}
+		  },
+		  { opcode: 'cancelSchedule', blockType: Scratch.BlockType.COMMAND, text: msg('cancelSchedule'), arguments: {
+			  sid: { type: Scratch.ArgumentType.STRING, defaultValue: 'T1' }
+			}
+		  },
+		  { opcode: 'cancelAllSchedules', blockType: Scratch.BlockType.COMMAND, text: msg('cancelAllSchedules') },
+		  { opcode: 'getLastScheduleId', blockType: Scratch.BlockType.REPORTER, text: msg('getLastScheduleId') },
+		  { opcode: 'getScheduleIds', blockType: Scratch.BlockType.REPORTER, text: msg('getScheduleIds') },
+		  { opcode: 'getScheduleJson', blockType: Scratch.BlockType.REPORTER, text: msg('getScheduleJson') },
+
+		  // Messages (any received text)
+		  { opcode: 'whenMessage', blockType: Scratch.BlockType.HAT, isEdgeActivated: false, text: msg('whenMessage') },
+		  { opcode: 'whenMessageMatches', blockType: Scratch.BlockType.HAT, isEdgeActivated: false, text: msg('whenMessageMatches'), arguments: {
+			  pattern: { type: Scratch.ArgumentType.STRING, defaultValue: 'BTN' }
+			}
+		  },
+		  { opcode: 'getLastMessage', blockType: Scratch.BlockType.REPORTER, text: msg('getLastMessage') },
+		  { opcode: 'getLastMessageId', blockType: Scratch.BlockType.REPORTER, text: msg('getLastMessageId') },
+		  { opcode: 'getLastMessageById', blockType: Scratch.BlockType.REPORTER, text: msg('getLastMessageById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'getHistoryItem', blockType: Scratch.BlockType.REPORTER, text: msg('getHistoryItem'), arguments: {
+			  n: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 }
+			}
+		  },
+		  { opcode: 'getHistoryLength', blockType: Scratch.BlockType.REPORTER, text: msg('getHistoryLength') },
+		  { opcode: 'getHistoryJson', blockType: Scratch.BlockType.REPORTER, text: msg('getHistoryJson') },
+		  { opcode: 'getLastBytesHex', blockType: Scratch.BlockType.REPORTER, text: msg('getLastBytesHex') },
+		  { opcode: 'getLastBytesHexById', blockType: Scratch.BlockType.REPORTER, text: msg('getLastBytesHexById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'setHistorySize', blockType: Scratch.BlockType.COMMAND, text: msg('setHistorySize'), arguments: {
+			  n: { type: Scratch.ArgumentType.NUMBER, defaultValue: 20 }
+			}
+		  },
+		  { opcode: 'clearHistory', blockType: Scratch.BlockType.COMMAND, text: msg('clearHistory') },
+
+		  // Telemetry (key=value / JSON messages)
+		  { opcode: 'whenTelemetry', blockType: Scratch.BlockType.HAT, isEdgeActivated: false, text: msg('whenTelemetry'), arguments: {
+			  key: { type: Scratch.ArgumentType.STRING, defaultValue: 'temp' },
+			  op: { type: Scratch.ArgumentType.STRING, menu: 'compare', defaultValue: '>' },
+			  value: { type: Scratch.ArgumentType.NUMBER, defaultValue: 30 }
+			}
+		  },
+		  { opcode: 'getTelemetry', blockType: Scratch.BlockType.REPORTER, text: msg('getTelemetry'), arguments: {
+			  key: { type: Scratch.ArgumentType.STRING, defaultValue: 'temp' }
+			}
+		  },
+		  { opcode: 'getTelemetryById', blockType: Scratch.BlockType.REPORTER, text: msg('getTelemetryById'), arguments: {
+			  key: { type: Scratch.ArgumentType.STRING, defaultValue: 'temp' },
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'getTelemetryKeys', blockType: Scratch.BlockType.REPORTER, text: msg('getTelemetryKeys') },
+		  { opcode: 'getTelemetryJsonById', blockType: Scratch.BlockType.REPORTER, text: msg('getTelemetryJsonById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+
+		  // Event log & statistics
+		  { opcode: 'getOnTime', blockType: Scratch.BlockType.REPORTER, text: msg('getOnTime'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  ch: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 },
+			  sec: { type: Scratch.ArgumentType.NUMBER, defaultValue: 3600 }
+			}
+		  },
+		  { opcode: 'getSwitchCount', blockType: Scratch.BlockType.REPORTER, text: msg('getSwitchCount'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  ch: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 },
+			  sec: { type: Scratch.ArgumentType.NUMBER, defaultValue: 3600 }
+			}
+		  },
+		  { opcode: 'getDutyCycle', blockType: Scratch.BlockType.REPORTER, text: msg('getDutyCycle'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  ch: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 },
+			  sec: { type: Scratch.ArgumentType.NUMBER, defaultValue: 3600 }
+			}
+		  },
+		  { opcode: 'getLogCsvById', blockType: Scratch.BlockType.REPORTER, text: msg('getLogCsvById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'downloadLog', blockType: Scratch.BlockType.COMMAND, text: msg('downloadLog') },
+		  { opcode: 'clearLog', blockType: Scratch.BlockType.COMMAND, text: msg('clearLog') },
+
+		  // Tab sharing
+		  { opcode: 'setTabSharing', blockType: Scratch.BlockType.COMMAND, text: msg('setTabSharing'), arguments: {
+			  state: { type: Scratch.ArgumentType.STRING, menu: 'onOff', defaultValue: 'on' }
+			}
+		  },
+		  { opcode: 'getTabRole', blockType: Scratch.BlockType.REPORTER, text: msg('getTabRole'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'getTabId', blockType: Scratch.BlockType.REPORTER, text: msg('getTabId') },
+
+		  // Safety
+		  { opcode: 'emergencyStop', blockType: Scratch.BlockType.COMMAND, text: msg('emergencyStop') },
+		  { opcode: 'setSafeStop', blockType: Scratch.BlockType.COMMAND, text: msg('setSafeStop'), arguments: {
+			  state: { type: Scratch.ArgumentType.STRING, menu: 'onOff', defaultValue: 'on' }
+			}
+		  },
+		  { opcode: 'setMaxOn', blockType: Scratch.BlockType.COMMAND, text: msg('setMaxOn'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  ms: { type: Scratch.ArgumentType.NUMBER, defaultValue: 60000 }
+			}
+		  },
+		  { opcode: 'setMinInterval', blockType: Scratch.BlockType.COMMAND, text: msg('setMinInterval'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  ms: { type: Scratch.ArgumentType.NUMBER, defaultValue: 500 }
+			}
+		  },
+		  { opcode: 'setInterlock', blockType: Scratch.BlockType.COMMAND, text: msg('setInterlock'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  a: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 },
+			  id2: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  b: { type: Scratch.ArgumentType.NUMBER, defaultValue: 2 }
+			}
+		  },
+		  { opcode: 'clearInterlocks', blockType: Scratch.BlockType.COMMAND, text: msg('clearInterlocks') },
+		  { opcode: 'getSafetyJson', blockType: Scratch.BlockType.REPORTER, text: msg('getSafetyJson') },
+
+		  // Checksums (hex in, hex out)
+		  { opcode: 'checksum', blockType: Scratch.BlockType.REPORTER, text: msg('checksum'), arguments: {
+			  algo: { type: Scratch.ArgumentType.STRING, menu: 'checksumAlgo', defaultValue: 'sum8' },
+			  hex: { type: Scratch.ArgumentType.STRING, defaultValue: 'A0 01 01' }
+			}
+		  },
+		  { opcode: 'withChecksum', blockType: Scratch.BlockType.REPORTER, text: msg('withChecksum'), arguments: {
+			  hex: { type: Scratch.ArgumentType.STRING, defaultValue: '01 05 00 00 FF 00' },
+			  algo: { type: Scratch.ArgumentType.STRING, menu: 'checksumAlgo', defaultValue: 'crc16modbus' }
+			}
+		  },
+		  { opcode: 'checksumOk', blockType: Scratch.BlockType.BOOLEAN, text: msg('checksumOk'), arguments: {
+			  hex: { type: Scratch.ArgumentType.STRING, defaultValue: 'A0 01 01 A2' },
+			  algo: { type: Scratch.ArgumentType.STRING, menu: 'checksumAlgo', defaultValue: 'sum8' }
+			}
+		  },
+
+		  // Bulk ops
+		  { opcode: 'bulkCsv', blockType: Scratch.BlockType.COMMAND, text: msg('bulkCsv'), arguments: {
+			  csv: { type: Scratch.ArgumentType.STRING, defaultValue: '' },
+			  act: { type: Scratch.ArgumentType.STRING, menu: 'bulkAction', defaultValue: 'ON' }
+			}
+		  },
+		  { opcode: 'bulkCsvReport', blockType: Scratch.BlockType.REPORTER, text: msg('bulkCsvReport'), arguments: {
+			  csv: { type: Scratch.ArgumentType.STRING, defaultValue: '' },
+			  act: { type: Scratch.ArgumentType.STRING, menu: 'bulkAction', defaultValue: 'OFF' },
+			  format: { type: Scratch.ArgumentType.STRING, menu: 'reportFormat', defaultValue: 'json' }
+			}
+		  },
+		  { opcode: 'setBulkConcurrency', blockType: Scratch.BlockType.COMMAND, text: msg('setBulkConcurrency'), arguments: {
+			  n: { type: Scratch.ArgumentType.NUMBER, defaultValue: 4 }
+			}
+		  },
+		  { opcode: 'getBulkReport', blockType: Scratch.BlockType.REPORTER, text: msg('getBulkReport'), arguments: {
+			  format: { type: Scratch.ArgumentType.STRING, menu: 'reportFormat', defaultValue: 'json' }
+			}
+		  },
+		  { opcode: 'getBulkFailedIds', blockType: Scratch.BlockType.REPORTER, text: msg('getBulkFailedIds') },
+
+		  // Simulation (virtual relays)
+		  { opcode: 'setSimulation', blockType: Scratch.BlockType.COMMAND, text: msg('setSimulation'), arguments: {
+			  state: { type: Scratch.ArgumentType.STRING, menu: 'onOff', defaultValue: 'on' }
+			}
+		  },
+		  { opcode: 'setSimRelays', blockType: Scratch.BlockType.COMMAND, text: msg('setSimRelays'), arguments: {
+			  n: { type: Scratch.ArgumentType.NUMBER, defaultValue: 3 },
+			  ch: { type: Scratch.ArgumentType.NUMBER, defaultValue: 1 }
+			}
+		  },
+		  { opcode: 'setSimLink', blockType: Scratch.BlockType.COMMAND, text: msg('setSimLink'), arguments: {
+			  ms: { type: Scratch.ArgumentType.NUMBER, defaultValue: 30 },
+			  p: { type: Scratch.ArgumentType.NUMBER, defaultValue: 0 }
+			}
+		  },
+		  { opcode: 'isSimulation', blockType: Scratch.BlockType.BOOLEAN, text: msg('isSimulation') },
+
+		  // Info
+		  { opcode: 'stateNum', blockType: Scratch.BlockType.REPORTER, text: msg('stateNum') },
+		  { opcode: 'stateText', blockType: Scratch.BlockType.REPORTER, text: msg('stateText') },
+		  { opcode: 'isConnected', blockType: Scratch.BlockType.BOOLEAN, text: msg('isConnected') },
+		  { opcode: 'getConnectionState', blockType: Scratch.BlockType.REPORTER, text: msg('getConnectionState') },
+		  { opcode: 'getName', blockType: Scratch.BlockType.REPORTER, text: msg('getName') },
+		  { opcode: 'getId', blockType: Scratch.BlockType.REPORTER, text: msg('getId') },
+		  { opcode: 'getKnownIds', blockType: Scratch.BlockType.REPORTER, text: msg('getKnownIds') },
+		  { opcode: 'getKnownNames', blockType: Scratch.BlockType.REPORTER, text: msg('getKnownNames') },
+		  { opcode: 'getConnectedIds', blockType: Scratch.BlockType.REPORTER, text: msg('getConnectedIds') },
+		  { opcode: 'aliasToId', blockType: Scratch.BlockType.REPORTER, text: msg('aliasToId'), arguments: {
+			  alias: { type: Scratch.ArgumentType.STRING, defaultValue: 'pump' }
+			}
+		  },
+		  { opcode: 'getAlias', blockType: Scratch.BlockType.REPORTER, text: msg('getAlias'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'getGroups', blockType: Scratch.BlockType.REPORTER, text: msg('getGroups') },
+		  { opcode: 'groupMembers', blockType: Scratch.BlockType.REPORTER, text: msg('groupMembers'), arguments: {
+			  group: { type: Scratch.ArgumentType.STRING, menu: 'groups', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'inGroup', blockType: Scratch.BlockType.BOOLEAN, text: msg('inGroup'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' },
+			  group: { type: Scratch.ArgumentType.STRING, menu: 'groups', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'getUnavailableIds', blockType: Scratch.BlockType.REPORTER, text: msg('getUnavailableIds') },
+		  { opcode: 'getProfile', blockType: Scratch.BlockType.REPORTER, text: msg('getProfile') },
+		  { opcode: 'getError', blockType: Scratch.BlockType.REPORTER, text: msg('getError') },
+		  { opcode: 'getErrorCode', blockType: Scratch.BlockType.REPORTER, text: msg('getErrorCode') },
+
+		  // Health & device info
+		  { opcode: 'getRssi', blockType: Scratch.BlockType.REPORTER, text: msg('getRssi') },
+		  { opcode: 'getBattery', blockType: Scratch.BlockType.REPORTER, text: msg('getBattery') },
+		  { opcode: 'getDeviceInfo', blockType: Scratch.BlockType.REPORTER, text: msg('getDeviceInfo'), arguments: {
+			  field: { type: Scratch.ArgumentType.STRING, menu: 'infoField', defaultValue: 'firmware' }
+			}
+		  },
+		  { opcode: 'getUptime', blockType: Scratch.BlockType.REPORTER, text: msg('getUptime') },
+		  { opcode: 'getReconnects', blockType: Scratch.BlockType.REPORTER, text: msg('getReconnects') },
+		  { opcode: 'refreshBattery', blockType: Scratch.BlockType.COMMAND, text: msg('refreshBattery') },
+		  { opcode: 'getDiagnostics', blockType: Scratch.BlockType.REPORTER, text: msg('getDiagnostics') },
+
+		  // Info (per device)
+		  { opcode: 'stateNumById', blockType: Scratch.BlockType.REPORTER, text: msg('stateNumById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'stateTextById', blockType: Scratch.BlockType.REPORTER, text: msg('stateTextById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'isConnectedById', blockType: Scratch.BlockType.BOOLEAN, text: msg('isConnectedById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'getConnectionStateById', blockType: Scratch.BlockType.REPORTER, text: msg('getConnectionStateById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'healthById', blockType: Scratch.BlockType.REPORTER, text: msg('healthById'), arguments: {
+			  field: { type: Scratch.ArgumentType.STRING, menu: 'healthField', defaultValue: 'battery' },
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  },
+		  { opcode: 'getDiagnosticsById', blockType: Scratch.BlockType.REPORTER, text: msg('getDiagnosticsById'), arguments: {
+			  id: { type: Scratch.ArgumentType.STRING, menu: 'devices', defaultValue: '' }
+			}
+		  }
+		],
+		menus: {
+		  onOff: { acceptReporters: true, items: menuItems(['on', 'off']) },
+		  baudRate: { acceptReporters: true, items: SERIAL_BAUD_RATES.map(String) },
+		  devices: { acceptReporters: true, items: 'deviceMenu' },
+		  groups: { acceptReporters: true, items: 'groupMenu' },
+		  bulkAction: { acceptReporters: true, items: menuItems(['ON', 'OFF', 'TOGGLE', 'READ']) },
+		  compare: { acceptReporters: false, items: ['>', '<'] },
+		  checksumAlgo: { acceptReporters: true, items: menuItems(['sum8', 'xor', 'crc8', 'crc16modbus']) },
+		  reportFormat: { acceptReporters: true, items: menuItems(['json', 'csv']) },
+		  queuePolicy: { acceptReporters: true, items: menuItems(['dropOldest', 'latest', 'reject']) },
+		  channelAction: { acceptReporters: true, items: menuItems(['ON', 'OFF', 'TOGGLE']) },
+		  channelState: { acceptReporters: false, items: menuItems(['ON', 'OFF']) },
+		  connectionEvent: { acceptReporters: false, items: menuItems(['connected', 'disconnected']) },
+		  connectionState: {
+			acceptReporters: false,
+			items: CONNECTION_STATES.map(value => ({ text: msg('state.' + value), value }))
+		  },
+		  framing: { acceptReporters: true, items: menuItems(['lf', 'cr', 'fixed', 'none']) },
+		  infoField: { acceptReporters: true, items: menuItems(['model', 'firmware', 'manufacturer']) },
+		  healthField: {
+			acceptReporters: true,
+			items: menuItems(['rssi', 'battery', 'uptime', 'reconnects', 'model', 'firmware', 'manufacturer'])
+		  },
+		  profile: {
+			acceptReporters: true,
+			items: menuItems(['auto']).concat(Array.from(profiles.values()).map(p => ({ text: p.name, value: p.id })))
+		  }
+		}
+	  };
+	}
+
+	// Dynamic menus: value is the alias when set (readable and stable across machines), else the ID
+	deviceMenu() {
+	  const items = Array.from(known.values()).concat(Array.from(stored.values()))
+		.map(v => ({ text: labelOf(v), value: v.alias || v.id }));
+	  return items.length ? items : [{ text: msg('menu.noDevices'), value: '' }];
+	}
+	groupMenu() {
+	  const items = Array.from(groups.keys());
+	  return items.length ? items : [{ text: msg('menu.noGroups'), value: '' }];
+	}
+
+	// HATs (started by dispatchEvents; each thread checks its own event)
+	whenOn(args, util)           { const ev = threadEvent(util, 'on'); return !!ev && ev.ch === 1; }
+	whenOff(args, util)          { const ev = threadEvent(util, 'off'); return !!ev && ev.ch === 1; }
+	whenConnected(args, util)    { return !!threadEvent(util, 'connected'); }
+	whenDisconnected(args, util) { return !!threadEvent(util, 'disconnected'); }
+	whenDeviceState(args, util) {
+	  const ev = threadEvent(util, String(args.state) === 'OFF' ? 'off' : 'on');
+	  return !!ev && ev.ch === 1 && eventFromDevice(ev, args.id);
+	}
+	whenDeviceConnection(args, util) {
+	  const ev = threadEvent(util, String(args.event) === 'disconnected' ? 'disconnected' : 'connected');
+	  return !!ev && eventFromDevice(ev, args.id);
+	}
+	whenChannel(args, util) {
+	  const ev = threadEvent(util, String(args.state) === 'OFF' ? 'off' : 'on');
+	  return !!ev && ev.ch === Math.floor(Number(args.ch));
+	}
+	whenConnectionState(args, util) {
+	  const ev = threadEvent(util, 'state');
+	  return !!ev && ev.state === String(args.state);
+	}
+	whenMessage(args, util)      { return !!threadEvent(util, 'message'); }
+	whenMessageMatches(args, util) {
+	  const ev = threadEvent(util, 'message');
+	  const pattern = String(args.pattern ?? '');
+	  return !!ev && !!pattern && matchesPattern(pattern, ev.message);
+	}
+	// Inside an event script: that event's device/channel; elsewhere: the newest event's
+	eventDevice(args, util)  { const ev = threadEvent(util) || lastEvent; return ev ? ev.id : ''; }
+	eventChannel(args, util) { const ev = threadEvent(util) || lastEvent; return ev ? ev.ch : 0; }
+
+	// Connection
+	// A cancelled chooser is recorded (getErrorCode: 'err.scanCancelled') but does not
+	// fail the script or start reconnecting
+	async btnConnect() {
+	  clearError();
+	  try { await requestAndConnect(); }
+	  catch (e) {
+		setError(e);
+		if (e.code === 'err.scanCancelled') return;
+		if (active) { wantConnection(active); scheduleReconnect(active); }
+		throw e;
+	  }
+	}
+	async connectSerial() {
+	  clearError();
+	  try { await requestSerialAndConnect(); }
+	  catch (e) {
+		setError(e);
+		if (e.code === 'err.scanCancelled') return;
+		if (active && active.device.serial) { wantConnection(active); scheduleReconnect(active); }
+		throw e;
+	  }
+	}
+	async connectById(args) {
+	  clearError();
+	  const s = findSession(args.id);
+	  const rec = s ? null : findStored(args.id);
+	  if (rec) { const e = permissionError(rec); setError(e); throw e; }
+	  try {
+		if (!s) {
+		  try { await requestAndConnect(); }
+		  catch (e) { setError(e); if (e.code !== 'err.scanCancelled') throw e; }
+		  return;
+		}
+		active = s;
+		wantConnection(s);
+		await reconnect(s);
+	  } catch (e) {
+		setError(e);
+		// The Bluetooth chooser is no way out for a serial port (or after the chooser itself)
+		if (!s || transportOf(s).id !== 'ble') throw e;
+		try { await requestAndConnect(); }
+		catch (ee) { setError(ee); if (ee.code !== 'err.scanCancelled') throw ee; }
+	  }
+	}
+	async connectAll() {
+	  clearError();
+	  await connectAllKnown();
+	}
+	setScanNamePrefixes(args) { scanFilters.namePrefixes = splitCsv(args.csv); persistSettings(); }
+	setScanNames(args)        { scanFilters.names = splitCsv(args.csv); persistSettings(); }
+	setScanServices(args)     { scanFilters.services = splitCsv(args.csv).map(serviceArg); persistSettings(); }
+	addScanManufacturer(args) {
+	  try {
+		const t = String(args.company ?? '').trim();
+		const id = /^0x/i.test(t) ? parseInt(t, 16) : Number(t);
+		if (!(Number.isInteger(id) && id >= 0 && id <= 0xffff)) throw error('err.badCompanyId', t);
+		scanFilters.manufacturers.push({ companyIdentifier: id, dataPrefix: parseHexBytes(args.prefix) });
+		persistSettings();
+	  } catch (e) { setError(e); throw e; }
+	}
+	clearScanFilters() {
+	  for (const k of Object.keys(scanFilters)) scanFilters[k] = [];
+	  persistSettings();
+	}
+	getScanFilters()          { return JSON.stringify(scanFilters); }
+	selectDevice(args)         { try { active = sessionOf(args.id); } catch (e) { setError(e); throw e; } }
+	async disconnect()         { if (active) await disconnectInternal(active, { forget: false }); }
+	async disconnectById(args) { await disconnectInternal(sessionOf(args.id), { forget: false }); }
+	async disconnectAll()      { for (const s of known.values()) await disconnectInternal(s, { forget: false }); }
+	async forgetCurrent()      { if (active) await disconnectInternal(active, { forget: true }); }
+	async forgetById(args)     {
+	  const s = findSession(args.id);
+	  if (s) { await disconnectInternal(s, { forget: true }); return; }
+	  const rec = findStored(args.id);
+	  if (rec) { stored.delete(rec.id); dropInterlocksOf(rec); persistKnown(); }
+	}
+	async forgetAll()          {
+	  for (const s of Array.from(known.values())) await disconnectInternal(s, { forget: true });
+	  for (const rec of stored.values()) dropInterlocksOf(rec);
+	  stored.clear();
+	  persistKnown();
+	}
+	setAlias(args)             {
+	  try {
+		const alias = String(args.alias ?? '').trim();
+		const s = findSession(args.id);
+		const rec = s ? null : findStored(args.id);
+		if (!s && !rec) throw error('err.unknownId', String(args.id ?? '').trim());
+		const other = findSession(alias) || findStored(alias);
+		if (alias && other && other !== (s || rec)) throw error('err.aliasInUse', alias);
+		(s || rec).alias = alias;
+		persistKnown();
+	  } catch (e) { setError(e); throw e; }
+	}
+	setGroup(args)             {
+	  const name = String(args.group ?? '').trim();
+	  if (!name) return;
+	  groups.set(name, splitCsv(args.members));
+	  persistGroups();
+	}
+	deleteGroup(args)          {
+	  groups.delete(String(args.group ?? '').trim());
+	  persistGroups();
+	}
+	setAutoConnect(args)       {
+	  autoConnect = isOn(args.state);
+	  persistSettings();
+	}
+	setReconnect(args)         {
+	  const on = isOn(args.state);
+	  for (const s of known.values()) {
+		if (on) { wantConnection(s); scheduleReconnect(s); }
+		else { s.wantReconnect = false; stopReconnectTimer(s); }
+	  }
+	}
+	setReconnectPolicy(args)   {
+	  setReconnectPolicy({ maxAttempts: args.n, minMs: args.min, maxMs: args.max, jitter: Number(args.jitter) / 100 });
+	  persistSettings();
+	}
+	setPoll(args)              {
+	  const v = Math.max(0, Math.floor(Number(args.ms) || 0));
+	  pollIntervalMs = v;
+	  for (const s of known.values()) { if (s.connected) startPolling(s); }
+	}
+	setFraming(args) {
+	  const mode = String(args.mode || '').trim().toLowerCase();
+	  rxFraming = ['lf', 'cr', 'fixed', 'none'].includes(mode) ? mode : 'lf';
+	  rxFixedLen = Math.max(1, Math.floor(Number(args.len) || 1));
+	  for (const s of known.values()) resetRx(s);
+	}
+	setTxChunk(args) {
+	  txChunkSize = Math.max(1, Math.floor(Number(args.n) || 20));
+	  txPaceMs = Math.max(0, Math.floor(Number(args.ms) || 0));
+	}
+	setProfile(args) {
+	  try {
+		const p = profileArg(args.profile);
+		selectedProfile = (p === 'auto') ? p : p.id;
+	  } catch (e) { setError(e); throw e; }
+	}
+	setProfileById(args) {
+	  try {
+		const p = profileArg(args.profile);
+		setProfileOf(sessionOf(args.id), (p === 'auto') ? p : p.id);
+	  } catch (e) { setError(e); throw e; }
+	}
+	// Baud rates apply from the next connect of a port
+	setSerialBaud(args) {
+	  try { serialBaudRate = baudArg(args.baud); persistSettings(); }
+	  catch (e) { setError(e); throw e; }
+	}
+	setSerialBaudById(args) {
+	  try {
+		const s = sessionOf(args.id);
+		s.baudRate = baudArg(args.baud);
+		persistSoon();
+	  } catch (e) { setError(e); throw e; }
+	}
+	getTransportById(args) {
+	  const s = findSession(args.id);
+	  return s ? transportOf(s).id : '';
+	}
+
+	// Relay ops
+	async relayOn()      { try { await sendAction(active, 'ON'); } catch (e) { setError(e); throw e; } }
+	async relayOff()     { try { await sendAction(active, 'OFF'); } catch (e) { setError(e); throw e; } }
+	async relayToggle()  { try { await sendAction(active, 'TOGGLE'); } catch (e) { setError(e); throw e; } }
+	async readStateCmd() { try { await readState(active); }  catch (e) { setError(e); throw e; } }
+	async sendText(args) { try { await sendAscii(active, String(args.txt ?? '')); } catch (e) { setError(e); throw e; } }
+	async sendHex(args)  { try { await sendAscii(active, Uint8Array.from(parseHexBytes(args.hex))); } catch (e) { setError(e); throw e; } }
+	async sendBytes(args){ try { await sendAscii(active, Uint8Array.from(parseByteList(args.bytes))); } catch (e) { setError(e); throw e; } }
+	clearQueue()         { for (const s of known.values()) s.sendQueue.length = 0; }
+
+	// Send queue
+	// An empty ID matches every device
+	whenQueueDropped(args, util) {
+	  const ev = threadEvent(util, 'queueDropped');
+	  return !!ev && (!String(args.id ?? '').trim() || eventFromDevice(ev, args.id));
+	}
+	setQueuePolicy(args) {
+	  const policy = String(args.policy || '').trim();
+	  queuePolicy = ['dropOldest', 'latest', 'reject'].includes(policy) ? policy : 'dropOldest';
+	  queueMax = Math.max(1, Math.floor(Number(args.n) || 20));
+	  queueTtlMs = Math.max(0, Math.floor(Number(args.ms) || 0));
+	}
+	queueLength()         { return active ? active.sendQueue.length : 0; }
+	queueLengthById(args) { const s = findSession(args.id); return s ? s.sendQueue.length : 0; }
+	queueJson()           { return JSON.stringify(active ? queueSummary(active) : []); }
+	queueJsonById(args)   { const s = findSession(args.id); return JSON.stringify(s ? queueSummary(s) : []); }
+	queueDroppedCount()   { return Array.from(known.values()).reduce((n, s) => n + s.queueDropped, 0); }
+	eventDroppedCount(args, util) { const ev = threadEvent(util, 'queueDropped'); return ev ? ev.count : 0; }
+
+	// Relay ops (per device)
+	async relayOnById(args)     { try { await sendAction(sessionOf(args.id), 'ON'); } catch (e) { setError(e); throw e; } }
+	async relayOffById(args)    { try { await sendAction(sessionOf(args.id), 'OFF'); } catch (e) { setError(e); throw e; } }
+	async relayToggleById(args) { try { await sendAction(sessionOf(args.id), 'TOGGLE'); } catch (e) { setError(e); throw e; } }
+	async readStateById(args)   { try { await readState(sessionOf(args.id)); } catch (e) { setError(e); throw e; } }
+	async sendTextById(args)    { try { await sendAscii(sessionOf(args.id), String(args.txt ?? '')); } catch (e) { setError(e); throw e; } }
+	async sendHexById(args)     { try { await sendAscii(sessionOf(args.id), Uint8Array.from(parseHexBytes(args.hex))); } catch (e) { setError(e); throw e; } }
+	async sendBytesById(args)   { try { await sendAscii(sessionOf(args.id), Uint8Array.from(parseByteList(args.bytes))); } catch (e) { setError(e); throw e; } }
+
+	// Acknowledged ops
+	setAck(args) {
+	  ackTimeoutMs = Math.max(1, Math.floor(Number(args.ms) || 0));
+	  ackRetries = Math.max(0, Math.floor(Number(args.n) || 0));
+	}
+	async relayConfirm(args) {
+	  try { await sendConfirmed(active, String(args.act || 'ON').toUpperCase()); }
+	  catch (e) { setError(e); throw e; }
+	}
+	async relayConfirmById(args) {
+	  try { await sendConfirmed(sessionOf(args.id), String(args.act || 'ON').toUpperCase()); }
+	  catch (e) { setError(e); throw e; }
+	}
+	async readStateWait(args) {
+	  try {
+		await sendConfirmed(active, 'READ', 1, Math.max(1, Math.floor(Number(args.ms) || 0)));
+		return String(active.lastStateNum);
+	  } catch (e) { setError(e); return ''; }
+	}
+	async readStateWaitById(args) {
+	  try {
+		const s = sessionOf(args.id);
+		await sendConfirmed(s, 'READ', 1, Math.max(1, Math.floor(Number(args.ms) || 0)));
+		return String(s.lastStateNum);
+	  } catch (e) { setError(e); return ''; }
+	}
+
+	// Custom protocol (per device)
+	setCommand(args) {
+	  try {
+		const s = sessionOf(args.id);
+		const act = String(args.act || '').toUpperCase();
+		if (!['ON', 'OFF', 'TOGGLE', 'READ'].includes(act)) return;
+		const text = String(args.text ?? '');
+		if (text) s.commands[act] = text;
+		else delete s.commands[act];
+		persistSoon();
+	  } catch (e) { setError(e); throw e; }
+	}
+	addReplyLiteral(args) {
+	  addReplyRule(args, { kind: 'literal', text: String(args.text ?? ''), state: String(args.state) === 'OFF' ? 0 : 1 });
+	}
+	addReplyRegex(args) {
+	  const pattern = String(args.pattern ?? '');
+	  if (!compilePattern(pattern)) { const e = error('err.badPattern', pattern); setError(e); throw e; }
+	  addReplyRule(args, { kind: 'regex', pattern });
+	}
+	addReplyJson(args) {
+	  addReplyRule(args, { kind: 'json', path: String(args.path ?? '').trim() });
+	}
+	clearProtocol(args) {
+	  try {
+		const s = sessionOf(args.id);
+		s.commands = {};
+		s.replyRules = [];
+		persistSoon();
+	  } catch (e) { setError(e); throw e; }
+	}
+	getProtocolJson(args) {
+	  const s = findSession(args.id);
+	  return s ? JSON.stringify({ commands: s.commands, replyRules: s.replyRules }) : '{}';
+	}
+
+	// Channels
+	setChannelCount(args) {
+	  if (!active) return;
+	  setChannelCount(active, Math.floor(Number(args.n) || 1));
+	}
+	async channelCmd(args) {
+	  try {
+		const act = String(args.act || 'ON').toUpperCase();
+		await sendAction(active, act, channelArg(args.ch));
+	  } catch (e) { setError(e); throw e; }
+	}
+	async channelCmdById(args) {
+	  try {
+		const act = String(args.act || 'ON').toUpperCase();
+		await sendAction(sessionOf(args.id), act, channelArg(args.ch));
+	  } catch (e) { setError(e); throw e; }
+	}
+	channelStateNum(args)     { return channelStateOf(active, args.ch); }
+	channelStateNumById(args) { return channelStateOf(findSession(args.id), args.ch); }
+	stateMask()               { return active ? stateMaskOf(active) : 0; }
+	stateMaskById(args)       { const s = findSession(args.id); return s ? stateMaskOf(s) : 0; }
+
+	// Timed actions
+	async pulse(args) {
+	  try {
+		if (!active) throw error('err.notConnected');
+		const s = active;
+		const ms = Math.max(0, Math.floor(Number(args.ms) || 0));
+		await sendAction(s, 'ON');
+		addSchedule(s, { kind: 'pulse', action: 'OFF', dueAt: Date.now() + ms });
+	  } catch (e) { setError(e); throw e; }
+	}
+	delayAction(args) {
+	  try {
+		if (!active) throw error('err.notConnected');
+		const ms = Math.max(0, Math.floor(Number(args.ms) || 0));
+		addSchedule(active, { kind: 'delay', action: String(args.act || 'OFF').toUpperCase(), dueAt: Date.now() + ms });
+	  } catch (e) { setError(e); throw e; }
+	}
+	everyAction(args) {
+	  try {
+		if (!active) throw error('err.notConnected');
+		const ms = Math.max(SCHEDULE_TICK_MS, Math.floor(Number(args.ms) || 0));
+		addSchedule(active, { kind: 'interval', action: String(args.act || 'TOGGLE').toUpperCase(), dueAt: Date.now() + ms, periodMs: ms });
+	  } catch (e) { setError(e); throw e; }
+	}
+	dailyAction(args) {
+	  try {
+		if (!active) throw error('err.notConnected');
+		const clock = parseClock(args.time);
+		addSchedule(active, { kind: 'daily', action: String(args.act || 'ON').toUpperCase(), dueAt: nextDailyTime(clock, Date.now()), daily: clock });
+	  } catch (e) { setError(e); throw e; }
+	}
+	cancelSchedule(args)   { cancelSchedule(String(args.sid ?? '').trim()); }
+	cancelAllSchedules()   { schedules.clear(); stopScheduler(); }
+	getLastScheduleId()    { return lastScheduleId; }
+	getScheduleIds()       { return Array.from(schedules.keys()).join(','); }
+	getScheduleJson()      { return JSON.stringify(Array.from(schedules.values()).map(scheduleSummary)); }
+
+	// Messages
+	getLastMessage()         { return lastMessage ? lastMessage.message : ''; }
+	getLastMessageId()       { return lastMessage ? lastMessage.id : ''; }
+	getLastMessageById(args) { const s = findSession(args.id); return s ? s.lastMessage : ''; }
+	getHistoryItem(args) {
+	  const n = Math.floor(Number(args.n) || 0);
+	  const m = messageHistory[messageHistory.length - n];
+	  return (n >= 1 && m) ? m.message : '';
+	}
+	getHistoryLength()       { return messageHistory.length; }
+	getHistoryJson() {
+	  return JSON.stringify(messageHistory.map(m => ({ time: new Date(m.time).toISOString(), id: m.id, message: m.message })));
+	}
+	setHistorySize(args) {
+	  historyMax = Math.max(0, Math.floor(Number(args.n) || 0));
+	  trimHistory();
+	}
+	clearHistory()           { messageHistory.length = 0; }
+	getLastBytesHex()        { return active ? toHex(active.lastBytes) : ''; }
+	getLastBytesHexById(args){ const s = findSession(args.id); return s ? toHex(s.lastBytes) : ''; }
+
+	// Telemetry
+	whenTelemetry(args, util) {
+	  const ev = threadEvent(util, 'telemetry');
+	  return !!ev && crossed(ev, String(args.key ?? '').trim(), String(args.op), Number(args.value));
+	}
+	getTelemetry(args)       { return active ? (active.telemetry[String(args.key ?? '').trim()] ?? '') : ''; }
+	getTelemetryById(args)   { const s = findSession(args.id); return s ? (s.telemetry[String(args.key ?? '').trim()] ?? '') : ''; }
+	getTelemetryKeys()       { return active ? Object.keys(active.telemetry).join(',') : ''; }
+	getTelemetryJsonById(args) { const s = findSession(args.id); return JSON.stringify(s ? s.telemetry : {}); }
+
+	// Event log & statistics (window in seconds, 0 = whole log)
+	getOnTime(args)      { const st = statsArg(args); return st ? Math.round(st.onMs / 100) / 10 : 0; }
+	getSwitchCount(args) { const st = statsArg(args); return st ? st.switches : 0; }
+	getDutyCycle(args)   {
+	  const st = statsArg(args);
+	  return (st && st.spanMs > 0) ? Math.round(st.onMs / st.spanMs * 1000) / 10 : 0;
+	}
+	getLogCsvById(args)  { const s = findSession(args.id); return s ? logCsv([s]) : ''; }
+	downloadLog() {
+	  try {
+		const stamp = new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '');
+		downloadText(`bt-relay-log-${stamp}.csv`, logCsv(known.values()), 'text/csv');
+	  } catch (e) { setError(e); throw e; }
+	}
+	clearLog()           { for (const s of known.values()) s.log.length = 0; }
+
+	// Tab sharing: role is 'owner' (link in this tab, shared), 'proxy' (link in another tab) or ''
+	setTabSharing(args) {
+	  try { setTabSharing(isOn(args.state)); persistSettings(); }
+	  catch (e) { setError(e); throw e; }
+	}
+	getTabRole(args) {
+	  const s = findSession(args.id);
+	  if (!s) return '';
+	  if (s.ownerTab) return 'proxy';
+	  return (isShared(s) && s.connected) ? 'owner' : '';
+	}
+	getTabId()           { return tabId; }
+
+	// Checksums
+	checksum(args) {
+	  try { return toHex(checksumOf(args.algo, parseHexBytes(args.hex))); }
+	  catch (e) { setError(e); return ''; }
+	}
+	withChecksum(args) {
+	  try {
+		const bytes = parseHexBytes(args.hex);
+		return toHex(bytes.concat(checksumOf(args.algo, bytes)));
+	  } catch (e) { setError(e); return ''; }
+	}
+	checksumOk(args) {
+	  try {
+		const bytes = parseHexBytes(args.hex);
+		const sum = checksumOf(args.algo, []).length;
+		if (bytes.length <= sum) return false;
+		return toHex(checksumOf(args.algo, bytes.slice(0, -sum))) === toHex(bytes.slice(-sum));
+	  } catch (e) { setError(e); return false; }
+	}
+
+	// Safety
+	async emergencyStop() {
+	  try { await allOff(); }
+	  catch (e) { setError(e); throw e; }
+	}
+	setSafeStop(args) {
+	  safeStop = isOn(args.state);
+	  persistSettings();
+	}
+	setMaxOn(args) {
+	  try {
+		const s = sessionOf(args.id);
+		s.maxOnMs = Math.max(0, Math.floor(Number(args.ms) || 0));
+		for (let ch = 1; ch <= s.channelCount; ch++) armMaxOn(s, ch);
+		persistSoon();
+	  } catch (e) { setError(e); throw e; }
+	}
+	setMinInterval(args) {
+	  try {
+		sessionOf(args.id).minIntervalMs = Math.max(0, Math.floor(Number(args.ms) || 0));
+		persistSoon();
+	  } catch (e) { setError(e); throw e; }
+	}
+	setInterlock(args) {
+	  try {
+		const s1 = sessionOf(args.id), s2 = sessionOf(args.id2);
+		const a = { key: s1.id, ch: channelArg(args.a) };
+		const b = { key: s2.id, ch: channelArg(args.b) };
+		if (s1 === s2 && a.ch === b.ch) return;
+		interlocks.push({ a, b });
+		persistSettings();
+	  } catch (e) { setError(e); throw e; }
+	}
+	clearInterlocks() {
+	  interlocks.length = 0;
+	  persistSettings();
+	}
+	getSafetyJson() {
+	  return JSON.stringify({
+		safeStop, interlocks,
+		devices: Array.from(known.values()).map(s => ({ id: s.id, maxOnMs: s.maxOnMs, minIntervalMs: s.minIntervalMs }))
+	  });
+	}
+
+	// Bulk ops
+	async bulkCsv(args) {
+	  clearError();
+	  await runBulk(args.csv, String(args.act || 'ON').toUpperCase());
+	}
+	async bulkCsvReport(args) {
+	  clearError();
+	  await runBulk(args.csv, String(args.act || 'ON').toUpperCase(), { confirm: true });
+	  return bulkReportText(String(args.format));
+	}
+	setBulkConcurrency(args) { bulkConcurrency = Math.max(1, Math.floor(Number(args.n) || 1)); }
+	getBulkReport(args)      { return bulkReportText(String(args.format)); }
+	getBulkFailedIds()       { return bulkReport.filter(r => !r.ok).map(r => r.id).join(','); }
+
+	// Simulation
+	setSimulation(args) {
+	  simulation = isOn(args.state);
+	  if (simulation && !sim) sim = createSimBluetooth();
+	}
+	setSimRelays(args) {
+	  if (!sim) sim = createSimBluetooth();
+	  sim.configure(Math.max(1, Math.floor(Number(args.n) || 1)), Math.min(CHANNEL_MAX, Math.max(1, Math.floor(Number(args.ch) || 1))));
+	}
+	setSimLink(args) {
+	  if (!sim) sim = createSimBluetooth();
+	  sim.latencyMs = Math.max(0, Math.floor(Number(args.ms) || 0));
+	  sim.dropPercent = Math.min(100, Math.max(0, Number(args.p) || 0));
+	}
+	isSimulation()   { return simulation; }
+
+	// Info
+	stateNum()       { return String(active ? active.lastStateNum : 0); }
+	stateText()      { return active ? active.lastStateText : ''; }
+	isConnected()    { return !!(active && active.connected); }
+	getConnectionState() { return scanning ? 'scanning' : (active ? active.state : 'idle'); }
+	getName()        { return active ? active.name : ''; }
+	getId()          { return active ? active.id : ''; }
+	getKnownIds()    { return listIds().join(','); }
+	getKnownNames()  { return listNames().join(','); }
+	getConnectedIds(){ return listConnectedIds().join(','); }
+	aliasToId(args)  { const v = findSession(args.alias) || findStored(args.alias); return v ? v.id : ''; }
+	getAlias(args)   { const v = findSession(args.id) || findStored(args.id); return v ? v.alias : ''; }
+	getGroups()      { return Array.from(groups.keys()).join(','); }
+	groupMembers(args) { return (groups.get(String(args.group ?? '').trim()) || []).join(','); }
+	inGroup(args)    {
+	  const v = findSession(args.id) || findStored(args.id);
+	  const members = groups.get(String(args.group ?? '').trim()) || [];
+	  return !!v && members.some(k => k === v.id || (v.alias && k === v.alias) || (v.name && k === v.name));
+	}
+	getUnavailableIds() { return Array.from(stored.keys()).join(','); }
+	getProfile()     { return active ? (active.profile ? active.profile.id : active.profileId) : selectedProfile; }
+	getError()       { return lastError; }
+	getErrorCode()   { return lastErrorCode; }
+
+	// Health & device info
+	getRssi()        { return active ? healthField(active, 'rssi') : ''; }
+	getBattery()     { return active ? healthField(active, 'battery') : ''; }
+	getDeviceInfo(args) { return active ? healthField(active, String(args.field)) : ''; }
+	getUptime()      { return active ? uptimeOf(active) : 0; }
+	getReconnects()  { return active ? active.reconnects : 0; }
+	async refreshBattery() {
+	  try { if (active) await readBattery(active); }
+	  catch (e) { setError(e); throw e; }
+	}
+	getDiagnostics() { return active ? JSON.stringify(diagnosticsOf(active)) : '{}'; }
+
+	// Info (per device)
+	stateNumById(args)    { const s = findSession(args.id); return String(s ? s.lastStateNum : 0); }
+	stateTextById(args)   { const s = findSession(args.id); return s ? s.lastStateText : ''; }
+	isConnectedById(args) { const s = findSession(args.id); return !!(s && s.connected); }
+	getConnectionStateById(args) { const s = findSession(args.id); return s ? s.state : 'idle'; }
+	healthById(args)      { const s = findSession(args.id); return s ? healthField(s, String(args.field)) : ''; }
+	getDiagnosticsById(args) { const s = findSession(args.id); return s ? JSON.stringify(diagnosticsOf(s)) : '{}'; }
+  }
+
+  return BtRelayExtension;
+});
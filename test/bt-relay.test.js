@@ -0,0 +1,100 @@
+// Drives the extension through its built-in simulator (no Bluetooth needed).
+// Run with: node --test test/   (Node 18 or later)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+
+const Scratch = {
+  BlockType: new Proxy({}, { get: (_, k) => k }),
+  ArgumentType: new Proxy({}, { get: (_, k) => k }),
+  translate: { language: 'en' }
+};
+const factory = require('../docs/bt-relay.js');
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Minimal scratch-vm runtime: every started HAT thread is recorded
+function fakeRuntime() {
+  const rt = new EventEmitter();
+  rt.threads = [];
+  rt.startHats = (opcode) => {
+    const thread = { opcode: opcode.replace(/^btRelayNUS_/, '') };
+    rt.threads.push(thread);
+    return [thread];
+  };
+  return rt;
+}
+
+// Runs fn with a fresh extension instance (module state is per factory call) and one
+// connected virtual relay; the relay is disconnected afterwards so no timer keeps Node alive
+async function withRelay(fn) {
+  const rt = fakeRuntime();
+  const ext = new (factory(Scratch))(rt);
+  ext.setSimulation({ state: 'on' });
+  ext.setSimLink({ ms: 5, p: 0 });
+  try {
+    await ext.btnConnect();
+    await fn({ ext, rt, id: ext.getId() });
+  } finally {
+    await ext.disconnectAll();
+    ext.setSimulation({ state: 'off' });
+  }
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const end = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > end) throw new Error('timed out');
+    await sleep(10);
+  }
+}
+
+test('connects to a virtual relay', () => {
+  return withRelay(async ({ ext, id }) => {
+    assert.strictEqual(ext.isConnected(), true);
+    assert.match(id, /^sim-relay-/);
+    assert.strictEqual(ext.getConnectionStateById({ id }), 'connected');
+  });
+});
+
+test('relay ON / OFF update the state from the replies', () => {
+  return withRelay(async ({ ext }) => {
+    await ext.relayOn();
+    await waitFor(() => ext.stateNum() === '1');
+    assert.strictEqual(ext.getLastMessage(), '1');
+    await ext.relayOff();
+    await waitFor(() => ext.stateNum() === '0');
+    assert.strictEqual(ext.getLastMessage(), '0');
+  });
+});
+
+test('commands queued while reconnecting are replayed', () => {
+  return withRelay(async ({ ext, id }) => {
+    ext.setReconnectPolicy({ n: 0, min: 100, max: 200, jitter: 0 });
+    await ext.disconnect();
+    ext.setReconnect({ state: 'on' });
+    await ext.relayOn();
+    assert.strictEqual(ext.queueLengthById({ id }), 1);
+    await waitFor(() => ext.isConnected() && ext.stateNum() === '1');
+    assert.strictEqual(ext.queueLengthById({ id }), 0);
+  });
+});
+
+test('state changes start the matching HATs with their event', () => {
+  return withRelay(async ({ ext, rt, id }) => {
+    await ext.relayOn();
+    await waitFor(() => ext.stateNum() === '1');
+    // One frame per event; HATs of a later event wait for the next frame
+    for (let i = 0; i < 20; i++) rt.emit('BEFORE_EXECUTE');
+    const whenOn = rt.threads.filter(t => t.opcode === 'whenOn');
+    assert.strictEqual(whenOn.length, 1);
+    assert.strictEqual(ext.whenOn({}, { thread: whenOn[0] }), true);
+    assert.strictEqual(ext.eventDevice({}, { thread: whenOn[0] }), id);
+    const connected = rt.threads.find(t => t.opcode === 'whenConnected');
+    assert.ok(connected);
+    assert.strictEqual(ext.whenConnected({}, { thread: connected }), true);
+    assert.strictEqual(ext.whenOn({}, { thread: connected }), false);
+  });
+});